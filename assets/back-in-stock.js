@@ -0,0 +1,258 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+
+// The local storage key of the variants the customer asked to be told about
+const STORAGE_KEY = 'theme:back-in-stock';
+
+/**
+ * A signup for a sold out variant, keyed by the variant ID.
+ *
+ * @typedef {object} BackInStockSignup
+ * @property {string} email - The email the customer signed up with.
+ * @property {'success' | 'duplicate'} status - Whether the signup was new, or the email was already signed up.
+ */
+
+/**
+ * A custom element that replaces the buy buttons with a signup form while the selected variant is sold out, and sends
+ * the email to the contact form of the store, or to the webhook set on the block.
+ *
+ * The signups are remembered in the browser, so a variant the customer already signed up for shows its status instead
+ * of the form.
+ *
+ * @typedef {object} BackInStockRefs
+ * @property {HTMLFormElement} form - The signup form.
+ * @property {HTMLInputElement} email - The email input.
+ * @property {HTMLButtonElement} submitButton - The submit button.
+ * @property {HTMLElement} message - The status of the signup.
+ *
+ * @extends {Component<BackInStockRefs>}
+ */
+export class BackInStockComponent extends Component {
+  requiredRefs = ['form', 'email', 'submitButton', 'message'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    window.addEventListener('storage', this.#handleStorage, { signal });
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    this.#render();
+  }
+
+  /**
+   * Signs the customer up for the selected variant.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async signup(event) {
+    event.preventDefault();
+
+    const { form, email, submitButton } = this.refs;
+    const variantId = this.dataset.variantId;
+
+    if (!variantId || !form.reportValidity() || this.getAttribute('aria-busy') === 'true') return;
+
+    const address = email.value.trim();
+
+    if (readSignups()[variantId]?.email === address) {
+      saveSignup(variantId, { email: address, status: 'duplicate' });
+      this.#render();
+      return;
+    }
+
+    this.setAttribute('aria-busy', 'true');
+    submitButton.disabled = true;
+    this.#showMessage('');
+
+    try {
+      const status = this.dataset.webhookUrl ? await this.#sendToWebhook(address) : await this.#sendToContactForm();
+
+      saveSignup(variantId, { email: address, status });
+      this.#render();
+    } catch (error) {
+      console.error('Failed to sign up for the back in stock notification:', error);
+      this.#showMessage(this.dataset.errorText ?? '', true);
+    } finally {
+      this.removeAttribute('aria-busy');
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Posts the signup as JSON to the webhook. The webhook answers 409 Conflict when the email is already signed up.
+   * @param {string} email - The email.
+   * @returns {Promise<BackInStockSignup['status']>} The status of the signup.
+   */
+  async #sendToWebhook(email) {
+    const response = await fetch(this.dataset.webhookUrl ?? '', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        email,
+        product_id: Number(this.dataset.productId),
+        product_title: this.dataset.productTitle,
+        variant_id: Number(this.dataset.variantId),
+        variant_title: this.dataset.variantTitle,
+        url: this.#variantUrl,
+        locale: document.documentElement.lang,
+      }),
+    });
+
+    if (response.status === 409) return 'duplicate';
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+    return 'success';
+  }
+
+  /**
+   * Posts the signup to the contact form of the store, with the product and variant in the message.
+   * @returns {Promise<BackInStockSignup['status']>} The status of the signup.
+   */
+  async #sendToContactForm() {
+    const { form } = this.refs;
+    const formData = new FormData(form);
+    const body = (this.dataset.bodyText ?? '')
+      .replace('{{ product }}', this.dataset.productTitle ?? '')
+      .replace('{{ variant }}', this.dataset.variantTitle ?? '')
+      .replace('{{ url }}', this.#variantUrl);
+
+    formData.set('contact[body]', body);
+    formData.set('contact[product]', this.dataset.productTitle ?? '');
+    formData.set('contact[variant]', this.dataset.variantTitle ?? '');
+    formData.set('contact[variant_id]', this.dataset.variantId ?? '');
+
+    const response = await fetch(form.action, { method: 'POST', body: formData });
+
+    if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+
+    // The contact form also answers 200 when the form has errors or redirects to the captcha challenge, it only
+    // redirects back with contact_posted=true when the message was sent
+    if (!response.url.includes('contact_posted=true')) {
+      throw new Error(`Contact form not posted: ${response.url}`);
+    }
+
+    return 'success';
+  }
+
+  get #variantUrl() {
+    const url = new URL(this.dataset.productUrl ?? '', window.location.origin);
+    url.searchParams.set('variant', this.dataset.variantId ?? '');
+
+    return url.toString();
+  }
+
+  /**
+   * Shows the form while the selected variant is sold out, or its status when the customer already signed up.
+   */
+  #render = () => {
+    const { form } = this.refs;
+    const signup = readSignups()[this.dataset.variantId ?? ''];
+
+    form.hidden = Boolean(signup);
+
+    if (!signup) {
+      this.#showMessage('');
+      return;
+    }
+
+    const text = signup.status === 'duplicate' ? this.dataset.duplicateText : this.dataset.successText;
+    this.#showMessage((text ?? '').replace('{{ email }}', signup.email));
+  };
+
+  /**
+   * @param {string} message - The message, empty to hide it.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #showMessage(message, isError = false) {
+    const { message: element } = this.refs;
+
+    element.textContent = message;
+    element.classList.toggle('back-in-stock__message--error', isError);
+  }
+
+  /**
+   * @param {import('./events').VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+      this.dataset.productUrl = event.detail.data.newProduct.url;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const variant = /** @type {{ id: string, title?: string, available: boolean } | null} */ (event.detail.resource);
+    const newComponent = event.detail.data.html.querySelector('back-in-stock-component');
+
+    if (newComponent instanceof HTMLElement && newComponent.dataset.productTitle) {
+      this.dataset.productTitle = newComponent.dataset.productTitle;
+    }
+
+    this.dataset.variantId = variant ? String(variant.id) : '';
+    this.dataset.variantTitle = variant?.title ?? '';
+    this.hidden = !variant || variant.available;
+
+    this.#render();
+  };
+
+  /**
+   * Shows the signups made in other tabs.
+   * @param {StorageEvent} event - The storage event.
+   */
+  #handleStorage = (event) => {
+    if (event.key === STORAGE_KEY || event.key === null) this.#render();
+  };
+}
+
+/**
+ * Remembers the signup for a variant.
+ * @param {string} variantId - The variant ID.
+ * @param {BackInStockSignup} signup - The signup.
+ */
+function saveSignup(variantId, signup) {
+  writeSignups({ ...readSignups(), [variantId]: signup });
+}
+
+/**
+ * @returns {Record<string, BackInStockSignup>} The signups, by variant ID.
+ */
+function readSignups() {
+  try {
+    const signups = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+
+    return signups && typeof signups === 'object' && !Array.isArray(signups) ? signups : {};
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * @param {Record<string, BackInStockSignup>} signups - The signups, by variant ID.
+ */
+function writeSignups(signups) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(signups));
+  } catch (error) {
+    console.error('Failed to save the back in stock signups:', error);
+  }
+}
+
+if (!customElements.get('back-in-stock-component')) {
+  customElements.define('back-in-stock-component', BackInStockComponent);
+}
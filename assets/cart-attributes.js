@@ -0,0 +1,228 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cartStore, CartOfflineError } from '@theme/cart';
+
+/**
+ * A custom element that holds the order details of the cart, e.g. a purchase order number, as cart attributes.
+ *
+ * The fields belong to the cart form, so the checkout button submits them and the browser blocks the checkout while a
+ * required field is empty or a delivery date can't be delivered on. Changes are also saved right away, like the note.
+ *
+ * @typedef {object} CartAttributesRefs
+ * @property {HTMLElement} saveError - The message shown when the order details couldn't be saved.
+ *
+ * @extends {Component<CartAttributesRefs>}
+ */
+class CartAttributesComponent extends Component {
+  requiredRefs = ['saveError'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Invalid events don't bubble
+    this.addEventListener('invalid', this.#handleInvalid, true);
+
+    for (const input of this.#dateInputs) {
+      input.min = toDateValue(this.#earliestDeliveryDate);
+      this.#validateDate(input);
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.removeEventListener('invalid', this.#handleInvalid, true);
+  }
+
+  /**
+   * Validates a field and saves the cart attributes.
+   * @param {Event} event - The input or change event of a field.
+   */
+  updateAttributes(event) {
+    const { target } = event;
+
+    if (target instanceof HTMLInputElement && target.type === 'date') this.#validateDate(target);
+    this.#showError(target, false);
+
+    this.#saveAttributes(event);
+  }
+
+  /**
+   * Shows the error of a field once the customer leaves it.
+   * @param {Event} event - The change event of a field.
+   */
+  validateField(event) {
+    this.#showError(event.target, true);
+  }
+
+  #saveAttributes = debounce(async (/** @type {Event} */ event) => {
+    /** @type {Record<string, string>} */
+    const attributes = {};
+
+    for (const field of this.#fields) {
+      const name = field.name.match(/^attributes\[(.+)\]$/)?.[1];
+      if (name) attributes[name] = field.value.trim();
+    }
+
+    if (this.#activeFetch) {
+      this.#activeFetch.abort();
+    }
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    try {
+      await cartStore.updateAttributes(attributes, { signal: abortController.signal });
+      this.refs.saveError.hidden = true;
+    } catch (error) {
+      // A newer change replaced this one
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      // The change is saved once the connection is back
+      if (error instanceof CartOfflineError) {
+        this.refs.saveError.hidden = true;
+        return;
+      }
+
+      console.error('Failed to save the order details:', error);
+      this.refs.saveError.textContent = this.dataset.saveErrorText ?? '';
+      this.refs.saveError.hidden = false;
+    } finally {
+      this.#activeFetch = null;
+      cartPerformance.measureFromEvent('attributes-update:user-action', event);
+    }
+  }, 200);
+
+  /**
+   * Opens the details and shows the error of a field when the checkout is blocked by it.
+   * @param {Event} event - The invalid event.
+   */
+  #handleInvalid = (event) => {
+    const details = this.querySelector('details');
+    if (details && !details.open) details.open = true;
+
+    this.#showError(event.target, true);
+  };
+
+  /**
+   * @param {EventTarget | null} field - The field.
+   * @param {boolean} visible - Whether to show the error, or only clear it once the field is valid.
+   */
+  #showError(field, visible) {
+    if (!(field instanceof HTMLInputElement || field instanceof HTMLSelectElement)) return;
+
+    const error = field.closest('.cart-attributes__field')?.querySelector('.cart-attributes__error');
+    if (!(error instanceof HTMLElement)) return;
+
+    const message = field.validity.valid ? '' : field.validationMessage;
+    if (!visible && message) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+    field.toggleAttribute('aria-invalid', Boolean(message));
+  }
+
+  /**
+   * Rejects delivery dates before the lead time, on weekends or on holidays.
+   * @param {HTMLInputElement} input - The date input.
+   */
+  #validateDate(input) {
+    const date = fromDateValue(input.value);
+    let message = '';
+
+    if (date) {
+      if (date < this.#earliestDeliveryDate) {
+        message = (this.dataset.tooEarlyText ?? '').replace(
+          '{{ date }}',
+          new Intl.DateTimeFormat(document.documentElement.lang || undefined, { dateStyle: 'long' }).format(
+            this.#earliestDeliveryDate
+          )
+        );
+      } else if (this.#isWeekend(date)) {
+        message = this.dataset.weekendText ?? '';
+      } else if (this.#holidays.has(input.value)) {
+        message = this.dataset.holidayText ?? '';
+      }
+    }
+
+    input.setCustomValidity(message);
+  }
+
+  /**
+   * The first day that can be delivered on, after the lead time.
+   * @returns {Date}
+   */
+  get #earliestDeliveryDate() {
+    const now = new Date();
+    const date = new Date(now.getFullYear(), now.getMonth(), now.getDate() + (Number(this.dataset.leadDays) || 0));
+
+    while (this.#isWeekend(date) || this.#holidays.has(toDateValue(date))) {
+      date.setDate(date.getDate() + 1);
+    }
+
+    return date;
+  }
+
+  /**
+   * @param {Date} date - The date.
+   * @returns {boolean} Whether the date is on a weekend that isn't delivered on.
+   */
+  #isWeekend(date) {
+    return this.dataset.excludeWeekends === 'true' && (date.getDay() === 0 || date.getDay() === 6);
+  }
+
+  /**
+   * The days that aren't delivered on, as YYYY-MM-DD.
+   * @returns {Set<string>}
+   */
+  get #holidays() {
+    return new Set((this.dataset.holidays ?? '').split(/[\s,]+/).filter(Boolean));
+  }
+
+  /**
+   * @returns {(HTMLInputElement | HTMLSelectElement)[]}
+   */
+  get #fields() {
+    return [...this.querySelectorAll('input[name^="attributes["], select[name^="attributes["]')].filter(
+      (field) => field instanceof HTMLInputElement || field instanceof HTMLSelectElement
+    );
+  }
+
+  /**
+   * @returns {HTMLInputElement[]}
+   */
+  get #dateInputs() {
+    return this.#fields.filter(
+      /** @returns {field is HTMLInputElement} */ (field) => field instanceof HTMLInputElement && field.type === 'date'
+    );
+  }
+}
+
+/**
+ * @param {Date} date - The date.
+ * @returns {string} The date as YYYY-MM-DD in local time.
+ */
+function toDateValue(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * @param {string} value - The date as YYYY-MM-DD.
+ * @returns {Date | null} The date at midnight local time, null for an empty or malformed value.
+ */
+function fromDateValue(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  if (!year || !month || !day) return null;
+
+  return new Date(year, month - 1, day);
+}
+
+if (!customElements.get('cart-attributes-component')) {
+  customElements.define('cart-attributes-component', CartAttributesComponent);
+}
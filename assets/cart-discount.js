@@ -1,8 +1,8 @@
 import { Component } from '@theme/component';
 import { morphSection } from '@theme/section-renderer';
 import { DiscountUpdateEvent } from '@theme/events';
-import { fetchConfig } from '@theme/utilities';
 import { cartPerformance } from '@theme/performance';
+import { cartStore } from '@theme/cart';
 
 /**
  * A custom element that applies a discount to the cart.
@@ -60,22 +60,13 @@ class CartDiscount extends Component {
       cartDiscountErrorDiscountCode.classList.add('hidden');
       cartDiscountErrorShipping.classList.add('hidden');
 
-      const config = fetchConfig('json', {
-        body: JSON.stringify({
-          discount: [...existingDiscounts, discountCodeValue].join(','),
-          sections: [this.dataset.sectionId],
-        }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const data = await cartStore.updateDiscounts([...existingDiscounts, discountCodeValue], {
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
       if (
-        data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+        data.discount_codes?.find((discount) => {
           return discount.code === discountCodeValue && discount.applicable === false;
         })
       ) {
@@ -84,7 +75,9 @@ class CartDiscount extends Component {
         return;
       }
 
-      const newHtml = data.sections[this.dataset.sectionId];
+      const newHtml = data.sections?.[this.dataset.sectionId];
+      if (!newHtml) return;
+
       const parsedHtml = new DOMParser().parseFromString(newHtml, 'text/html');
       const section = parsedHtml.getElementById(`shopify-section-${this.dataset.sectionId}`);
       const discountCodes = section?.querySelectorAll('.cart-discount__pill') || [];
@@ -98,7 +91,7 @@ class CartDiscount extends Component {
         if (
           codes.length === existingDiscounts.length &&
           codes.every((/** @type {string} */ code) => existingDiscounts.includes(code)) &&
-          data.discount_codes.find((/** @type {{ code: string; applicable: boolean; }} */ discount) => {
+          data.discount_codes?.find((discount) => {
             return discount.code === discountCodeValue && discount.applicable === true;
           })
         ) {
@@ -149,19 +142,15 @@ class CartDiscount extends Component {
     const abortController = this.#createAbortController();
 
     try {
-      const config = fetchConfig('json', {
-        body: JSON.stringify({ discount: existingDiscounts.join(','), sections: [this.dataset.sectionId] }),
-      });
-
-      const response = await fetch(Theme.routes.cart_update_url, {
-        ...config,
+      const data = await cartStore.updateDiscounts(existingDiscounts, {
+        sections: [this.dataset.sectionId],
         signal: abortController.signal,
       });
 
-      const data = await response.json();
-
       document.dispatchEvent(new DiscountUpdateEvent(data, this.id));
-      morphSection(this.dataset.sectionId, data.sections[this.dataset.sectionId]);
+
+      const newHtml = data.sections?.[this.dataset.sectionId];
+      if (newHtml) morphSection(this.dataset.sectionId, newHtml);
     } catch (error) {
     } finally {
       this.#activeFetch = null;
@@ -1,5 +1,6 @@
 import { DialogComponent } from '@theme/dialog';
 import { CartAddEvent } from '@theme/events';
+import { CART_QUEUE_SOURCE, CART_SYNC_SOURCE } from '@theme/cart';
 
 /**
  * A custom element that manages a cart drawer.
@@ -17,7 +18,14 @@ class CartDrawerComponent extends DialogComponent {
     document.removeEventListener(CartAddEvent.eventName, this.#handleCartAdd);
   }
 
-  #handleCartAdd = () => {
+  /**
+   * @param {CartAddEvent} event
+   */
+  #handleCartAdd = (event) => {
+    // Don't open the drawer in tabs that only learned about a change made in another tab, or for changes made offline
+    const source = event.detail.data?.source;
+    if (source === CART_SYNC_SOURCE || source === CART_QUEUE_SOURCE) return;
+
     if (this.hasAttribute('auto-open')) {
       this.showDialog();
     }
@@ -1,6 +1,7 @@
 import { Component } from '@theme/component';
 import { onAnimationEnd } from '@theme/utilities';
-import { ThemeEvents, CartUpdateEvent } from '@theme/events';
+import { ThemeEvents, CartUpdateEvent, CartQueueUpdateEvent } from '@theme/events';
+import { cartStore } from '@theme/cart';
 
 /**
  * A custom element that displays a cart icon.
@@ -9,6 +10,7 @@ import { ThemeEvents, CartUpdateEvent } from '@theme/events';
  * @property {HTMLElement} cartBubble - The cart bubble element.
  * @property {HTMLElement} cartBubbleText - The cart bubble text element.
  * @property {HTMLElement} cartBubbleCount - The cart bubble count element.
+ * @property {HTMLElement} [cartBubblePending] - Tells screen readers about items added offline.
  *
  * @extends {Component<Refs>}
  */
@@ -28,13 +30,16 @@ class CartIcon extends Component {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.onCartQueueUpdate);
     this.ensureCartBubbleIsCorrect();
+    this.renderPending(cartStore.pending);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.onCartUpdate);
+    document.removeEventListener(ThemeEvents.cartQueueUpdate, this.onCartQueueUpdate);
   }
 
   /**
@@ -42,25 +47,55 @@ class CartIcon extends Component {
    * @param {CartUpdateEvent} event - The cart update event.
    */
   onCartUpdate = async (event) => {
-    const itemCount = event.detail.data?.itemCount ?? 0;
-    const comingFromProductForm = event.detail.data?.source === 'product-form-component';
+    // Cart events carry the cart as their resource, fall back to the item count for events dispatched elsewhere
+    const itemCount = event.detail.resource?.item_count ?? event.detail.data?.itemCount ?? 0;
 
-    this.renderCartBubble(itemCount, comingFromProductForm);
+    this.renderCartBubble(itemCount);
   };
 
+  /**
+   * Handles the cart queue update event.
+   * @param {CartQueueUpdateEvent} event - The cart queue update event.
+   */
+  onCartQueueUpdate = (event) => {
+    this.renderPending(event.detail.pending);
+  };
+
+  /**
+   * Marks the cart bubble while items added offline wait for the connection.
+   * @param {import('./cart').QueuedCartMutation[]} pending - The cart changes waiting for the connection.
+   */
+  renderPending(pending) {
+    const { cartBubble, cartBubblePending } = this.refs;
+    const quantity = pending.reduce((total, mutation) => total + mutation.quantity, 0);
+
+    cartBubble.classList.toggle('cart-bubble--pending', quantity > 0);
+    cartBubble.classList.toggle(
+      'visually-hidden',
+      quantity === 0 && this.refs.cartBubbleCount.classList.contains('hidden')
+    );
+
+    if (cartBubblePending) {
+      cartBubblePending.textContent = quantity
+        ? (cartBubblePending.dataset.text ?? '').replace('{{ count }}', String(quantity))
+        : '';
+    }
+  }
+
   /**
    * Renders the cart bubble.
    * @param {number} itemCount - The number of items in the cart.
-   * @param {boolean} comingFromProductForm - Whether the cart update is coming from the product form.
+   * @param {boolean} [animate] - Whether to animate the bubble.
    */
-  renderCartBubble = async (itemCount, comingFromProductForm, animate = true) => {
-    // If the cart update is coming from the product form, we add to the current cart count, otherwise we set the new cart count
-
+  renderCartBubble = async (itemCount, animate = true) => {
     this.refs.cartBubbleCount.classList.toggle('hidden', itemCount === 0);
-    this.refs.cartBubble.classList.toggle('visually-hidden', itemCount === 0);
+    this.refs.cartBubble.classList.toggle(
+      'visually-hidden',
+      itemCount === 0 && !this.refs.cartBubble.classList.contains('cart-bubble--pending')
+    );
     this.refs.cartBubble.classList.toggle('cart-bubble--animating', itemCount > 0 && animate);
 
-    this.currentCartCount = comingFromProductForm ? this.currentCartCount + itemCount : itemCount;
+    this.currentCartCount = itemCount;
 
     this.classList.toggle('header-actions__cart-icon--has-cart', itemCount > 0);
 
@@ -94,7 +129,7 @@ class CartIcon extends Component {
         const count = parseInt(value, 10);
 
         if (count >= 0) {
-          this.renderCartBubble(count, false, false);
+          this.renderCartBubble(count, false);
         }
       }
     } catch (_) {
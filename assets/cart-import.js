@@ -0,0 +1,585 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { CartAddEvent } from '@theme/events';
+import { cartPerformance } from '@theme/performance';
+import { cartStore, CartError, CartOfflineError } from '@theme/cart';
+import { showAddToCartError, ERROR_MESSAGE_DISPLAY_DURATION } from '@theme/product-form';
+import { lookupVariant, getQuantityRuleError } from '@theme/quick-order';
+
+/**
+ * @typedef {import('@theme/quick-order').QuickOrderVariant} QuickOrderVariant
+ */
+
+// Delay between the last change to the pasted text and parsing it
+const PARSE_DEBOUNCE_DELAY = 300;
+
+// Number of item number lookups running at the same time
+const LOOKUP_CONCURRENCY = 4;
+
+// Column headings recognised when guessing the column mapping, in Danish and English. Whole cells only, so an item
+// number like CLEAN-500 isn't taken for a heading
+const ITEM_HEADING =
+  /^\s*(sku|vare\s?n(umme)?r\.?|item(\s?(no\.?|number))?|ean|barcode|stregkode|variant(\s?id)?)\s*$/i;
+const VARIANT_ID_HEADING = /variant/i;
+const QUANTITY_HEADING = /^\s*(antal|qty|quantity|mængde|stk\.?)\s*$/i;
+
+/**
+ * @typedef {'pending' | 'loading' | 'ready' | 'unverified' | 'not-found' | 'sold-out' | 'invalid' | 'added' | 'queued' | 'error'} ImportLineState
+ */
+
+/**
+ * A line of the imported list.
+ *
+ * @typedef {object} ImportLine
+ * @property {number} number - The line number in the imported text.
+ * @property {string} item - The item number, EAN or variant id.
+ * @property {number} quantity - The parsed quantity, NaN if it couldn't be parsed.
+ * @property {QuickOrderVariant | null} variant - The resolved variant.
+ * @property {ImportLineState} state - The line state.
+ * @property {string} message - The message shown for the line.
+ * @property {HTMLTableRowElement} row - The preview row.
+ */
+
+/**
+ * A custom element that adds a pasted list or an uploaded CSV file to the cart.
+ *
+ * @typedef {object} CartImportRefs
+ * @property {HTMLTextAreaElement} input - The text area the list is pasted into.
+ * @property {HTMLInputElement} fileInput - The CSV file input.
+ * @property {HTMLElement} mapping - The column mapping controls.
+ * @property {HTMLSelectElement} itemColumn - The item column select.
+ * @property {HTMLSelectElement} identifierType - Whether the item column holds item numbers or variant ids.
+ * @property {HTMLSelectElement} quantityColumn - The quantity column select.
+ * @property {HTMLInputElement} headerRow - Whether the first row holds column headings.
+ * @property {HTMLElement} preview - The preview table.
+ * @property {HTMLTableSectionElement} previewRows - The preview table body.
+ * @property {HTMLElement} summary - The preview summary.
+ * @property {HTMLButtonElement} submitButton - The add to cart button.
+ * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<CartImportRefs>
+ */
+class CartImportComponent extends Component {
+  requiredRefs = [
+    'input',
+    'fileInput',
+    'mapping',
+    'itemColumn',
+    'identifierType',
+    'quantityColumn',
+    'headerRow',
+    'preview',
+    'previewRows',
+    'summary',
+    'submitButton',
+    'liveRegion',
+  ];
+
+  /**
+   * The parsed cells of the imported text.
+   * @type {string[][]}
+   */
+  #table = [];
+
+  /** @type {ImportLine[]} */
+  #lines = [];
+
+  /**
+   * Incremented whenever the lines are rebuilt, so stale lookups can be discarded.
+   */
+  #generation = 0;
+
+  #debouncedParse = debounce(() => this.#parse(), PARSE_DEBOUNCE_DELAY);
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#debouncedParse.cancel();
+    if (this.#timeout) clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Parses the pasted list once the customer stops typing.
+   */
+  handleInput() {
+    this.#debouncedParse();
+  }
+
+  /**
+   * Reads the uploaded file into the text area and parses it.
+   * @param {Event & { target: HTMLInputElement }} event - The change event.
+   */
+  async handleFile(event) {
+    const [file] = event.target.files ?? [];
+    if (!file) return;
+
+    this.refs.input.value = await readTextFile(file);
+    this.#debouncedParse.cancel();
+    this.#parse();
+  }
+
+  /**
+   * Rebuilds the preview after the column mapping changed.
+   */
+  handleMappingChange() {
+    this.#buildLines();
+  }
+
+  /**
+   * Adds the valid lines to the cart, one line at a time so errors can be reported per line.
+   * @param {Event} event - The click event.
+   */
+  async addToCart(event) {
+    const { submitButton } = this.refs;
+    if (submitButton.disabled) return;
+
+    const lines = this.#lines.filter((line) => line.state === 'ready' || line.state === 'unverified');
+    if (!lines.length) return;
+
+    this.#hideError();
+    submitButton.disabled = true;
+
+    const generation = this.#generation;
+    let added = 0;
+    let queued = 0;
+    let failed = 0;
+
+    try {
+      for (const line of lines) {
+        const { state, message } = await this.#addLine(line);
+
+        if (state === 'added') added++;
+        else if (state === 'queued') queued++;
+        else failed++;
+
+        if (generation === this.#generation) this.#setLineState(line, state, message);
+      }
+
+      if (failed) {
+        this.#showError((this.dataset.failedText ?? '').replace('{{ count }}', String(failed)));
+      } else if (queued) {
+        this.#showError(this.dataset.offlineText ?? '');
+      }
+
+      // The lines are added silently, the cart is announced once when all of them are done.
+      // Lines added before a failure are in the cart, so the cart has to be refreshed either way.
+      const cart = cartStore.state;
+      if (added && cart) {
+        this.dispatchEvent(
+          new CartAddEvent(cart, this.id, {
+            didError: failed > 0,
+            source: 'cart-import-component',
+            itemCount: cart.item_count,
+          })
+        );
+      }
+    } catch (error) {
+      console.error(error);
+    } finally {
+      this.#updateSummary();
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  }
+
+  /**
+   * Adds a single line to the cart.
+   * @param {ImportLine} line - The line.
+   * @returns {Promise<{ state: 'added' | 'queued' | 'error', message: string }>} Whether the line was added, queued
+   * until the connection is back, or failed, with the message shown for it.
+   */
+  async #addLine(line) {
+    const id = line.variant?.id ?? Number(line.item);
+
+    try {
+      await cartStore.add(
+        { items: [{ id, quantity: line.quantity }] },
+        { target: this, sourceId: this.id, silent: true, label: line.variant?.title ?? line.item }
+      );
+      return { state: 'added', message: this.dataset.addedText ?? '' };
+    } catch (error) {
+      if (error instanceof CartError) return { state: 'error', message: error.message };
+
+      // The line is added once the connection is back, adding it again would add it twice
+      if (error instanceof CartOfflineError) return { state: 'queued', message: this.dataset.offlineText ?? '' };
+
+      console.error(error);
+      return { state: 'error', message: this.dataset.lineFailedText ?? '' };
+    }
+  }
+
+  /**
+   * Parses the imported text into cells and guesses the column mapping.
+   */
+  #parse() {
+    this.#table = parseDelimitedText(this.refs.input.value);
+
+    const columnCount = Math.max(0, ...this.#table.map((cells) => cells.length));
+    this.refs.mapping.hidden = columnCount === 0;
+
+    if (columnCount !== this.refs.itemColumn.options.length) this.#renderColumnOptions(columnCount);
+    this.#guessMapping();
+    this.#buildLines();
+  }
+
+  /**
+   * Fills the column selects with one option per column.
+   * @param {number} columnCount - The number of columns.
+   */
+  #renderColumnOptions(columnCount) {
+    const { itemColumn, quantityColumn } = this.refs;
+    const columnText = this.dataset.columnText ?? '';
+
+    const options = Array.from({ length: columnCount }, (_, index) => {
+      return new Option(columnText.replace('{{ number }}', String(index + 1)), String(index));
+    });
+
+    itemColumn.replaceChildren(...options.map((option) => option.cloneNode(true)));
+
+    // Without a quantity column each line is added once
+    quantityColumn.replaceChildren(new Option(this.dataset.noQuantityColumnText ?? '', ''), ...options);
+  }
+
+  /**
+   * Picks the item and quantity columns from the column headings, or from the values if there are none.
+   */
+  #guessMapping() {
+    const { itemColumn, identifierType, quantityColumn, headerRow } = this.refs;
+    const [firstRow = [], ...otherRows] = this.#table;
+
+    const itemIndex = firstRow.findIndex((cell) => ITEM_HEADING.test(cell));
+    const quantityIndex = firstRow.findIndex((cell) => QUANTITY_HEADING.test(cell));
+    // A heading row holds no quantities, e.g. `sku;2` is the first item
+    headerRow.checked =
+      (itemIndex !== -1 || quantityIndex !== -1) && firstRow.every((cell) => Number.isNaN(parseQuantity(cell)));
+
+    if (headerRow.checked) {
+      if (itemIndex !== -1) itemColumn.value = String(itemIndex);
+      quantityColumn.value = quantityIndex === -1 ? '' : String(quantityIndex);
+      identifierType.value = VARIANT_ID_HEADING.test(firstRow[itemIndex] ?? '') ? 'variant_id' : 'sku';
+      return;
+    }
+
+    // The quantity is the last column that only holds quantities, the item number is the first other column
+    const columns = firstRow.map((_, index) => index);
+    const quantityColumns = columns.filter((index) =>
+      [firstRow, ...otherRows].every((cells) => !Number.isNaN(parseQuantity(cells[index] ?? '')))
+    );
+    const guessedQuantity = columns.length > 1 ? quantityColumns.pop() : undefined;
+    const guessedItem = columns.find((index) => index !== guessedQuantity) ?? 0;
+
+    itemColumn.value = String(guessedItem);
+    quantityColumn.value = guessedQuantity === undefined ? '' : String(guessedQuantity);
+  }
+
+  /**
+   * Turns the parsed cells into lines using the column mapping and resolves them.
+   */
+  #buildLines() {
+    const { itemColumn, identifierType, quantityColumn, headerRow, previewRows, preview } = this.refs;
+    const generation = ++this.#generation;
+
+    const itemIndex = Number(itemColumn.value);
+    const quantityIndex = quantityColumn.value === '' ? null : Number(quantityColumn.value);
+    const firstLine = headerRow.checked ? 1 : 0;
+
+    /** @type {ImportLine[]} */
+    const lines = [];
+    this.#table.forEach((cells, index) => {
+      const item = cells[itemIndex]?.trim() ?? '';
+      if (index < firstLine || !item) return;
+
+      lines.push({
+        number: index + 1,
+        item,
+        quantity: quantityIndex === null ? 1 : parseQuantity(cells[quantityIndex] ?? ''),
+        variant: null,
+        state: 'pending',
+        message: '',
+        row: this.#createPreviewRow(index + 1, item),
+      });
+    });
+
+    this.#lines = lines;
+    previewRows.replaceChildren(...lines.map((line) => line.row));
+    preview.hidden = lines.length === 0;
+
+    if (identifierType.value === 'variant_id') {
+      // Variant ids can't be looked up on the storefront, the cart validates them when they're added
+      for (const line of lines) this.#validateLine(line);
+      this.#updateSummary();
+      return;
+    }
+
+    this.#resolveLines(lines, generation);
+  }
+
+  /**
+   * Looks up the item numbers of the lines, a few at a time.
+   * @param {ImportLine[]} lines - The lines.
+   * @param {number} generation - The generation the lines belong to.
+   */
+  async #resolveLines(lines, generation) {
+    const queue = [...lines];
+
+    for (const line of lines) this.#setLineState(line, 'loading', this.dataset.searchingText);
+    this.#updateSummary();
+
+    const worker = async () => {
+      let line;
+      while ((line = queue.shift())) {
+        try {
+          line.variant = await lookupVariant(line.item);
+        } catch (error) {
+          console.error('Cart import lookup failed:', error);
+        }
+
+        if (generation !== this.#generation) return;
+
+        this.#renderProduct(line);
+        this.#validateLine(line);
+      }
+    };
+
+    await Promise.all(Array.from({ length: LOOKUP_CONCURRENCY }, worker));
+
+    if (generation === this.#generation) this.#updateSummary();
+  }
+
+  /**
+   * Validates a line and renders its state.
+   * @param {ImportLine} line - The line.
+   */
+  #validateLine(line) {
+    const { variant, quantity } = line;
+    const isVariantId = this.refs.identifierType.value === 'variant_id';
+
+    if (isVariantId && !/^\d+$/.test(line.item)) {
+      this.#setLineState(line, 'not-found', this.dataset.invalidVariantIdText);
+    } else if (!isVariantId && !variant) {
+      this.#setLineState(line, 'not-found', this.dataset.notFoundText);
+    } else if (variant && !variant.available) {
+      this.#setLineState(line, 'sold-out', this.dataset.soldOutText);
+    } else if (Number.isNaN(quantity) || quantity < 1) {
+      this.#setLineState(line, 'invalid', this.dataset.invalidQuantityText);
+    } else if (variant) {
+      const message = getQuantityRuleError(quantity, variant.quantity_rule, {
+        minimum: this.dataset.quantityMinimumText ?? '',
+        maximum: this.dataset.quantityMaximumText ?? '',
+        increments: this.dataset.quantityIncrementsText ?? '',
+      });
+      this.#setLineState(line, message ? 'invalid' : 'ready', message ?? '');
+    } else {
+      this.#setLineState(line, 'unverified', this.dataset.unverifiedText);
+    }
+  }
+
+  /**
+   * Updates the summary and whether the lines can be added.
+   */
+  #updateSummary() {
+    const { summary, submitButton } = this.refs;
+    const lines = this.#lines;
+
+    const isResolving = lines.some((line) => line.state === 'pending' || line.state === 'loading');
+    const addable = lines.filter((line) => line.state === 'ready' || line.state === 'unverified').length;
+
+    summary.textContent = lines.length
+      ? (this.dataset.summaryText ?? '')
+          .replace('{{ count }}', String(addable))
+          .replace('{{ total }}', String(lines.length))
+      : '';
+    submitButton.disabled = isResolving || addable === 0;
+  }
+
+  /**
+   * Creates the preview row for a line.
+   * @param {number} number - The line number.
+   * @param {string} item - The item number, EAN or variant id.
+   * @returns {HTMLTableRowElement} The row.
+   */
+  #createPreviewRow(number, item) {
+    const row = document.createElement('tr');
+    row.className = 'cart-import__row';
+
+    for (const className of ['line', 'item', 'product', 'quantity', 'status']) {
+      const cell = row.insertCell();
+      cell.className = `cart-import__${className}`;
+    }
+
+    const [lineCell, itemCell] = row.cells;
+    if (lineCell) lineCell.textContent = String(number);
+    if (itemCell) itemCell.textContent = item;
+
+    return row;
+  }
+
+  /**
+   * Renders the resolved product of a line.
+   * @param {ImportLine} line - The line.
+   */
+  #renderProduct(line) {
+    const cell = line.row.querySelector('.cart-import__product');
+    if (!cell || !line.variant) return;
+
+    const link = document.createElement('a');
+    link.href = line.variant.url;
+    link.textContent = line.variant.title;
+
+    const price = document.createElement('span');
+    price.className = 'cart-import__price';
+    price.innerHTML = line.variant.price_html;
+
+    cell.replaceChildren(link, price);
+  }
+
+  /**
+   * Sets the state of a line and renders it in the preview.
+   * @param {ImportLine} line - The line.
+   * @param {ImportLineState} state - The line state.
+   * @param {string} [message] - The message to show.
+   */
+  #setLineState(line, state, message = '') {
+    line.state = state;
+    line.message = message;
+    line.row.dataset.state = state;
+
+    const quantityCell = line.row.querySelector('.cart-import__quantity');
+    if (quantityCell) quantityCell.textContent = Number.isNaN(line.quantity) ? '–' : String(line.quantity);
+
+    const statusCell = line.row.querySelector('.cart-import__status');
+    if (statusCell) statusCell.textContent = message;
+  }
+
+  /**
+   * Shows an error message below the preview and announces it to screen readers.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { addToCartTextError } = this.refs;
+
+    if (addToCartTextError) showAddToCartError(addToCartTextError, message);
+    this.refs.liveRegion.textContent = message;
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => this.#hideError(), ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
+  #hideError() {
+    this.refs.addToCartTextError?.classList.add('hidden');
+    this.refs.liveRegion.textContent = '';
+  }
+}
+
+if (!customElements.get('cart-import-component')) {
+  customElements.define('cart-import-component', CartImportComponent);
+}
+
+/**
+ * Reads a text file, falling back to Windows-1252 for files that aren't valid UTF-8.
+ * Excel saves "CSV (semicolon separated)" files in the system code page, so æ, ø and å would be garbled otherwise.
+ * @param {File} file - The file.
+ * @returns {Promise<string>} The file contents.
+ */
+async function readTextFile(file) {
+  const buffer = await file.arrayBuffer();
+
+  try {
+    return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+  } catch {
+    return new TextDecoder('windows-1252').decode(buffer);
+  }
+}
+
+/**
+ * Splits tab, semicolon or comma separated text into cells. Quoted cells may contain separators,
+ * line breaks and escaped quotes.
+ * @param {string} text - The text.
+ * @returns {string[][]} The non-empty rows.
+ */
+function parseDelimitedText(text) {
+  text = text.replace(/^\uFEFF/, '');
+
+  const delimiter = detectDelimiter(text);
+
+  /** @type {string[][]} */
+  const rows = [];
+  /** @type {string[]} */
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      cells.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      cells.push(cell.trim());
+      if (cells.some(Boolean)) rows.push(cells);
+      cells = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  cells.push(cell.trim());
+  if (cells.some(Boolean)) rows.push(cells);
+
+  return rows;
+}
+
+/**
+ * Picks the separator from the first line. Commas come last because Danish lists use them as decimal separator.
+ * @param {string} text - The text.
+ * @returns {string} The separator.
+ */
+function detectDelimiter(text) {
+  const [firstLine = ''] = text.split(/\r?\n/, 1);
+
+  return ['\t', ';', ','].find((delimiter) => firstLine.includes(delimiter)) ?? ',';
+}
+
+/**
+ * Parses a whole-number quantity written with either a decimal comma or point, such as "12", "12,00" or "12.0", and
+ * optionally grouped in thousands, such as "1.000" or "1.000,00". A comma followed by three digits, such as "1,000",
+ * is a thousand in English spreadsheets but one in Danish ones, so it's rejected instead of guessed.
+ * @param {string} value - The cell value.
+ * @returns {number} The quantity, or NaN if it isn't a whole number.
+ */
+function parseQuantity(value) {
+  let normalized = value.replace(/\s/g, '');
+
+  if (/^\d{1,3}(\.\d{3})+(,\d+)?$/.test(normalized)) {
+    normalized = normalized.replace(/\./g, '').replace(',', '.');
+  } else if (/^\d{1,3}(,\d{3})+\.\d+$/.test(normalized)) {
+    normalized = normalized.replace(/,/g, '');
+  } else if (/^\d{1,3}(,\d{3})+$/.test(normalized)) {
+    return NaN;
+  } else {
+    normalized = normalized.replace(',', '.');
+  }
+
+  if (!/^\d+(\.\d+)?$/.test(normalized)) return NaN;
+
+  const quantity = Number(normalized);
+
+  return Number.isInteger(quantity) ? quantity : NaN;
+}
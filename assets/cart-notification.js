@@ -0,0 +1,195 @@
+import { AnchoredPopoverComponent } from '@theme/anchored-popover';
+import { CartAddEvent, ThemeEvents } from '@theme/events';
+import { CART_QUEUE_SOURCE, CART_SYNC_SOURCE } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+// How long the popover stays open, in milliseconds, unless set in the theme settings
+const DEFAULT_DURATION = 5000;
+
+/**
+ * A custom element that shows the items just added to the cart in a popover under the cart icon, with the new subtotal
+ * and links to the cart and the checkout. Used instead of the cart drawer when the cart type is set to popover.
+ *
+ * The popover closes by itself after a while, unless the pointer or focus is in it.
+ *
+ * @typedef {object} CartNotificationRefs
+ * @property {HTMLElement} popover - The popover.
+ * @property {HTMLElement} trigger - The cart link the popover is anchored to.
+ * @property {HTMLUListElement} items - The list of added items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of an added item.
+ * @property {HTMLElement} subtotal - The cart subtotal.
+ * @property {HTMLElement} count - The number of items in the cart, in the cart link.
+ * @property {HTMLFormElement} [checkout] - The checkout action, left out when the cart is only checked on the cart page.
+ *
+ * @extends {AnchoredPopoverComponent}
+ */
+class CartNotificationComponent extends AnchoredPopoverComponent {
+  requiredRefs = ['popover', 'trigger', 'items', 'itemTemplate', 'subtotal', 'count'];
+
+  /** @type {number | undefined} */
+  #dismissTimeout;
+
+  /** @type {AbortController | undefined} */
+  #rulesAbortController;
+
+  get #refs() {
+    return /** @type {CartNotificationRefs} */ (/** @type {unknown} */ (this.refs));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { popover } = this.#refs;
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    popover.addEventListener('pointerenter', this.#stopDismiss);
+    popover.addEventListener('focusin', this.#stopDismiss);
+    popover.addEventListener('pointerleave', this.#scheduleDismiss);
+    popover.addEventListener('focusout', this.#scheduleDismiss);
+    popover.addEventListener('toggle', this.#handleToggle);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    const { popover } = this.#refs;
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartAdd);
+    popover.removeEventListener('pointerenter', this.#stopDismiss);
+    popover.removeEventListener('focusin', this.#stopDismiss);
+    popover.removeEventListener('pointerleave', this.#scheduleDismiss);
+    popover.removeEventListener('focusout', this.#scheduleDismiss);
+    popover.removeEventListener('toggle', this.#handleToggle);
+    clearTimeout(this.#dismissTimeout);
+  }
+
+  /**
+   * @param {Event} event - The cart update event.
+   */
+  #handleCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent)) return;
+
+    const { resource: cart, data } = event.detail;
+
+    // Don't show changes made in another tab or offline, or adds that failed
+    if (data.source === CART_SYNC_SOURCE || data.source === CART_QUEUE_SOURCE || data.didError) return;
+    if (!data.items?.length || !cart) return;
+
+    this.#render(data.items, cart);
+    this.#updateCheckout();
+
+    const { popover } = this.#refs;
+    if (!popover.matches(':popover-open')) popover.showPopover();
+
+    this.#scheduleDismiss();
+  };
+
+  /**
+   * @param {import('./cart').CartItem[]} items - The added line items.
+   * @param {Partial<import('./cart').Cart>} cart - The cart.
+   */
+  #render(items, cart) {
+    const { items: list, itemTemplate, subtotal, count } = this.#refs;
+    const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+    const currency = cart.currency ?? this.dataset.currency ?? '';
+
+    /** @param {number} cents */
+    const formatPrice = (cents) => vatDisplay.renderPrice(cents, (value) => formatCents(value, moneyFormat, currency));
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const image = fragment.querySelector('[data-image]');
+        const title = fragment.querySelector('[data-title]');
+        const variant = fragment.querySelector('[data-variant]');
+        const quantity = fragment.querySelector('[data-quantity]');
+        const price = fragment.querySelector('[data-price]');
+
+        if (image instanceof HTMLImageElement) {
+          image.hidden = !item.image;
+          if (item.image) image.src = item.image;
+        }
+
+        if (title instanceof HTMLAnchorElement) {
+          title.href = item.url;
+          title.textContent = item.product_title ?? item.title;
+        }
+
+        if (variant) {
+          if (item.variant_title) {
+            variant.textContent = item.variant_title;
+          } else {
+            variant.remove();
+          }
+        }
+
+        if (quantity) {
+          quantity.textContent = (this.dataset.quantityText ?? '').replace('{{ quantity }}', String(item.quantity));
+        }
+
+        if (price) price.innerHTML = formatPrice(item.final_line_price);
+
+        return fragment;
+      })
+    );
+
+    subtotal.innerHTML = formatPrice(cart.total_price ?? 0);
+    count.textContent = String(cart.item_count ?? 0);
+  }
+
+  /**
+   * Hides the checkout action while a cart rule blocks the cart, e.g. the added quantity isn't a multiple of the pack
+   * size. The checkout doesn't check these rules, so the action stays hidden until the cart is known to pass them.
+   */
+  async #updateCheckout() {
+    const { checkout } = this.#refs;
+    if (!checkout) return;
+
+    this.#rulesAbortController?.abort();
+    this.#rulesAbortController = new AbortController();
+    checkout.hidden = true;
+
+    try {
+      const response = await fetch(checkout.dataset.cartRulesUrl ?? '', { signal: this.#rulesAbortController.signal });
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      const html = await response.text();
+      const blockedState = new DOMParser().parseFromString(html, 'text/html').body.textContent?.trim();
+
+      checkout.hidden = blockedState !== 'false';
+    } catch (error) {
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      // The customer can still check out from the cart page, which checks the rules
+      console.error('Failed to check the cart rules:', error);
+    }
+  }
+
+  #scheduleDismiss = () => {
+    const { popover } = this.#refs;
+    const duration = Number(this.dataset.duration) || DEFAULT_DURATION;
+
+    clearTimeout(this.#dismissTimeout);
+    if (popover.matches(':hover, :focus-within')) return;
+
+    this.#dismissTimeout = setTimeout(() => {
+      if (popover.matches(':popover-open')) popover.hidePopover();
+    }, duration);
+  };
+
+  #stopDismiss = () => {
+    clearTimeout(this.#dismissTimeout);
+  };
+
+  /**
+   * @param {Event} event - The toggle event of the popover.
+   */
+  #handleToggle = (event) => {
+    if (/** @type {ToggleEvent} */ (event).newState === 'closed') clearTimeout(this.#dismissTimeout);
+  };
+}
+
+if (!customElements.get('cart-notification-component')) {
+  customElements.define('cart-notification-component', CartNotificationComponent);
+}
@@ -0,0 +1,79 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart';
+
+/**
+ * A custom element that lists the cart changes made offline that are waiting for the connection, and the ones that
+ * failed once they were sent.
+ *
+ * @typedef {object} CartQueueRefs
+ * @property {HTMLElement} pending - The pending changes.
+ * @property {HTMLUListElement} pendingList - The list of pending changes.
+ * @property {HTMLElement} conflicts - The failed changes.
+ * @property {HTMLUListElement} conflictList - The list of failed changes.
+ *
+ * @extends {Component<CartQueueRefs>}
+ */
+class CartQueueComponent extends Component {
+  requiredRefs = ['pending', 'pendingList', 'conflicts', 'conflictList'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartQueueUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartQueueUpdate, this.#render);
+  }
+
+  /**
+   * Hides the failed changes.
+   */
+  dismissConflicts() {
+    cartStore.dismissConflicts();
+  }
+
+  #render = () => {
+    const { pending, pendingList, conflicts, conflictList } = this.refs;
+    const pendingMutations = cartStore.pending;
+    const { conflicts: failedMutations } = cartStore;
+
+    pendingList.replaceChildren(
+      ...pendingMutations.map(({ type, label, quantity }) => {
+        const text =
+          type === 'add'
+            ? (this.dataset.addText ?? '').replace('{{ quantity }}', String(quantity))
+            : (this.dataset.changeText ?? '');
+
+        return this.#createItem(text.replace('{{ label }}', label || this.dataset.cartText || ''));
+      })
+    );
+
+    conflictList.replaceChildren(
+      ...failedMutations.map(({ label, message }) => this.#createItem(label ? `${label}: ${message}` : message))
+    );
+
+    pending.hidden = !pendingMutations.length;
+    conflicts.hidden = !failedMutations.length;
+    this.hidden = pending.hidden && conflicts.hidden;
+  };
+
+  /**
+   * @param {string} text - The text of the item.
+   * @returns {HTMLLIElement} The item.
+   */
+  #createItem(text) {
+    const item = document.createElement('li');
+    item.textContent = text;
+
+    return item;
+  }
+}
+
+if (!customElements.get('cart-queue-component')) {
+  customElements.define('cart-queue-component', CartQueueComponent);
+}
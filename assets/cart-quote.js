@@ -0,0 +1,384 @@
+import { DialogComponent } from '@theme/dialog';
+import { cartStore } from '@theme/cart';
+import { getSharedCartUrl } from '@theme/cart-share';
+import { QRCode } from '@theme/qr-code-generator';
+import { formatCents } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+// The local storage key of the company details, so returning customers don't have to enter them again
+const COMPANY_STORAGE_KEY = 'theme:quote-company';
+
+// The size of the QR code image, large enough to stay sharp when printed
+const QR_CODE_SIZE = 256;
+
+/**
+ * A line of the quote. Prices are in cents.
+ *
+ * @typedef {object} QuoteLine
+ * @property {string} sku - The variant SKU.
+ * @property {string} title - The line item title.
+ * @property {number} quantity - The quantity.
+ * @property {number} unitPriceExcl - The unit price excluding VAT.
+ * @property {number} unitPriceIncl - The unit price including VAT.
+ * @property {number} linePriceExcl - The line price excluding VAT.
+ */
+
+/**
+ * A quote of the cart. Prices are in cents.
+ *
+ * @typedef {object} Quote
+ * @property {string} number - The quote number, the same for the same cart on the same day.
+ * @property {Date} date - The date of the quote.
+ * @property {Date} validUntil - The last day the quote is valid.
+ * @property {QuoteLine[]} lines - The lines.
+ * @property {number} subtotal - The subtotal of the lines excluding VAT.
+ * @property {number} discount - The cart discounts excluding VAT.
+ * @property {number} vat - The VAT.
+ * @property {number} total - The total including VAT.
+ * @property {string} url - The link that restores the cart, encoded in the QR code.
+ */
+
+/**
+ * A custom element that shows a print-optimized quote of the cart, and exports it as CSV.
+ *
+ * The quote is built from the cart when it's opened. Prices excluding VAT use the VAT rate of the market, see
+ * `vat-display.js`. The QR code links to the cart restore dialog, see `cart-share.js`.
+ *
+ * @typedef {object} CartQuoteRefs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLButtonElement} openButton - The button that opens the quote.
+ * @property {HTMLTextAreaElement} companyInput - The field for the company details.
+ * @property {HTMLElement} company - The company details in the quote.
+ * @property {HTMLElement} number - The quote number.
+ * @property {HTMLTimeElement} date - The date of the quote.
+ * @property {HTMLTimeElement} validUntil - The last day the quote is valid.
+ * @property {HTMLTableElement} table - The table of lines and totals.
+ * @property {HTMLTableSectionElement} lines - The lines of the table.
+ * @property {HTMLTemplateElement} lineTemplate - The template of a line in the table.
+ * @property {HTMLElement} qrCode - The QR code linking to the cart.
+ * @property {HTMLElement} message - The status message.
+ *
+ * @extends {DialogComponent}
+ */
+class CartQuoteComponent extends DialogComponent {
+  requiredRefs = [
+    'dialog',
+    'openButton',
+    'companyInput',
+    'company',
+    'number',
+    'date',
+    'validUntil',
+    'table',
+    'lines',
+    'lineTemplate',
+    'qrCode',
+    'message',
+  ];
+
+  /** @type {Quote | null} */
+  #quote = null;
+
+  get #refs() {
+    return /** @type {CartQuoteRefs} */ (/** @type {unknown} */ (this.refs));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { companyInput } = this.#refs;
+
+    try {
+      companyInput.value = localStorage.getItem(COMPANY_STORAGE_KEY) ?? companyInput.value;
+    } catch {
+      // Storage can be unavailable, the details prefilled for logged in customers are kept
+    }
+
+    this.#renderCompany();
+  }
+
+  /**
+   * Builds the quote from the cart and shows it.
+   */
+  async showQuote() {
+    const { openButton, message } = this.#refs;
+
+    openButton.disabled = true;
+    message.textContent = '';
+
+    try {
+      this.#quote = await this.#createQuote(await cartStore.get());
+      this.#render(this.#quote);
+      this.showDialog();
+    } catch (error) {
+      console.error(error);
+      message.textContent = this.dataset.errorText ?? '';
+    } finally {
+      openButton.disabled = false;
+    }
+  }
+
+  /**
+   * Shows the company details in the quote, and remembers them.
+   */
+  updateCompany() {
+    const { companyInput } = this.#refs;
+
+    this.#renderCompany();
+
+    try {
+      if (companyInput.value.trim()) {
+        localStorage.setItem(COMPANY_STORAGE_KEY, companyInput.value);
+      } else {
+        localStorage.removeItem(COMPANY_STORAGE_KEY);
+      }
+    } catch {
+      // Storage can be unavailable, e.g. in private browsing
+    }
+  }
+
+  /**
+   * Prints the quote. The print styles hide the rest of the page.
+   */
+  print() {
+    window.print();
+  }
+
+  /**
+   * Downloads the quote as a CSV file, with the same details, lines and totals as the printed quote.
+   */
+  downloadCsv() {
+    if (!this.#quote) return;
+
+    const { table, company } = this.#refs;
+    const separator = getDecimalSeparator() === ',' ? ';' : ',';
+
+    /** @type {string[][]} */
+    const rows = [
+      ...[...this.querySelectorAll('.cart-quote__meta div')].map((item) => [
+        item.querySelector('dt')?.textContent?.trim() ?? '',
+        item.querySelector('dd')?.textContent?.trim() ?? '',
+      ]),
+      [this.dataset.companyText ?? '', company.textContent?.trim().replace(/\s*\n\s*/g, ', ') ?? ''],
+      [],
+      ...[...table.rows]
+        .filter((row) => !row.hidden)
+        .map((row) =>
+          [...row.cells].flatMap((cell) => {
+            if (cell.hidden) return [];
+
+            const value = cell.dataset.value ?? cell.textContent?.trim() ?? '';
+
+            // Keep the columns of the totals aligned with the lines
+            return [value, ...Array(cell.colSpan - 1).fill('')];
+          })
+        ),
+    ];
+
+    const csv = rows.map((row) => row.map((value) => toCsvValue(value, separator)).join(separator)).join('\r\n');
+
+    // The byte order mark makes spreadsheet apps read the file as UTF-8
+    const blob = new Blob(['\uFEFF', csv], { type: 'text/csv;charset=utf-8' });
+    const link = document.createElement('a');
+
+    link.href = URL.createObjectURL(blob);
+    link.download = `${this.#quote.number}.csv`;
+    link.click();
+
+    setTimeout(() => URL.revokeObjectURL(link.href));
+  }
+
+  /**
+   * @param {import('./cart').Cart} cart - The cart.
+   * @returns {Promise<Quote>} The quote.
+   */
+  async #createQuote(cart) {
+    const url = await getSharedCartUrl(cart);
+    const date = new Date();
+    const validUntil = new Date(date);
+    validUntil.setDate(validUntil.getDate() + (Number(this.dataset.validityDays) || 0));
+
+    const toExcl = (/** @type {number} */ cents) => vatDisplay.toDisplayPrice(cents, 'excl');
+    const toIncl = (/** @type {number} */ cents) => vatDisplay.toDisplayPrice(cents, 'incl');
+
+    const subtotal = toExcl(cart.items_subtotal_price);
+    const total = toIncl(cart.total_price);
+
+    return {
+      number: `${toDateValue(date).replace(/-/g, '')}-${hash(url)}`,
+      date,
+      validUntil,
+      lines: cart.items.map((item) => ({
+        sku: item.sku ?? '',
+        title: item.title,
+        quantity: item.quantity,
+        unitPriceExcl: toExcl(item.final_price),
+        unitPriceIncl: toIncl(item.final_price),
+        linePriceExcl: toExcl(item.final_line_price),
+      })),
+      subtotal,
+      discount: subtotal - toExcl(cart.total_price),
+      vat: total - toExcl(cart.total_price),
+      total,
+      url,
+    };
+  }
+
+  /**
+   * @param {Quote} quote - The quote.
+   */
+  #render(quote) {
+    const { number, date, validUntil, table, lines, lineTemplate } = this.#refs;
+    const dateFormat = new Intl.DateTimeFormat(document.documentElement.lang || undefined, { dateStyle: 'long' });
+
+    number.textContent = quote.number;
+    date.dateTime = toDateValue(quote.date);
+    date.textContent = dateFormat.format(quote.date);
+    validUntil.dateTime = toDateValue(quote.validUntil);
+    validUntil.textContent = dateFormat.format(quote.validUntil);
+
+    lines.replaceChildren(
+      ...quote.lines.map((line) => {
+        const fragment = /** @type {DocumentFragment} */ (lineTemplate.content.cloneNode(true));
+        const row = /** @type {HTMLTableRowElement} */ (fragment.firstElementChild);
+
+        this.#renderCell(row, 'sku', line.sku);
+        this.#renderCell(row, 'title', line.title);
+        this.#renderCell(row, 'quantity', String(line.quantity));
+        this.#renderPriceCell(row, 'unit-price-excl', line.unitPriceExcl);
+        this.#renderPriceCell(row, 'unit-price-incl', line.unitPriceIncl);
+        this.#renderPriceCell(row, 'line-price-excl', line.linePriceExcl);
+
+        return row;
+      })
+    );
+
+    this.#renderPriceCell(table, 'subtotal', quote.subtotal);
+    this.#renderPriceCell(table, 'discount', quote.discount);
+    this.#renderPriceCell(table, 'vat', quote.vat);
+    this.#renderPriceCell(table, 'total', quote.total);
+
+    const discountRow = table.querySelector('[data-cell="discount"]')?.closest('tr');
+    if (discountRow) discountRow.hidden = quote.discount <= 0;
+
+    this.#renderQrCode(quote.url);
+  }
+
+  /**
+   * @param {HTMLElement} parent - The row or table holding the cell.
+   * @param {string} name - The name of the cell.
+   * @param {string} text - The text.
+   */
+  #renderCell(parent, name, text) {
+    const cell = parent.querySelector(`[data-cell="${name}"]`);
+    if (cell) cell.textContent = text;
+  }
+
+  /**
+   * Renders a formatted price, and keeps the plain amount for the CSV export.
+   * @param {HTMLElement} parent - The row or table holding the cell.
+   * @param {string} name - The name of the cell.
+   * @param {number} cents - The price in cents.
+   */
+  #renderPriceCell(parent, name, cents) {
+    const cell = parent.querySelector(`[data-cell="${name}"]`);
+    if (!(cell instanceof HTMLElement)) return;
+
+    cell.textContent = formatCents(cents, this.dataset.moneyFormat ?? '{{amount}}', this.dataset.currency ?? '');
+    cell.dataset.value = formatAmount(cents);
+  }
+
+  /**
+   * @param {string} url - The link that restores the cart.
+   */
+  #renderQrCode(url) {
+    const { qrCode } = this.#refs;
+    const container = qrCode.closest('.cart-quote__qr-code');
+
+    qrCode.replaceChildren();
+
+    try {
+      new QRCode(qrCode, {
+        text: url,
+        width: QR_CODE_SIZE,
+        height: QR_CODE_SIZE,
+        alt: this.dataset.qrCodeText ?? '',
+        correctLevel: QRCode.CorrectLevel.M,
+      });
+
+      if (container instanceof HTMLElement) container.hidden = false;
+    } catch (error) {
+      // Very large carts don't fit in a QR code, the quote is still valid without it
+      console.warn(error);
+      if (container instanceof HTMLElement) container.hidden = true;
+    }
+  }
+
+  #renderCompany() {
+    const { companyInput, company } = this.#refs;
+
+    company.textContent = companyInput.value.trim();
+  }
+}
+
+/**
+ * @param {Date} date - The date.
+ * @returns {string} The date as YYYY-MM-DD in local time.
+ */
+function toDateValue(date) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()]
+    .map((part) => String(part).padStart(2, '0'))
+    .join('-');
+}
+
+/**
+ * @param {string} value - The value to hash.
+ * @returns {string} A short FNV-1a hash of the value, in upper case letters and digits.
+ */
+function hash(value) {
+  let result = 0x811c9dc5;
+
+  for (let i = 0; i < value.length; i++) {
+    result ^= value.charCodeAt(i);
+    result = Math.imul(result, 0x01000193);
+  }
+
+  return (result >>> 0).toString(36).toUpperCase().padStart(7, '0');
+}
+
+/**
+ * @returns {string} The decimal separator of the page language.
+ */
+function getDecimalSeparator() {
+  const parts = new Intl.NumberFormat(document.documentElement.lang || undefined).formatToParts(1.5);
+
+  return parts.find(({ type }) => type === 'decimal')?.value ?? '.';
+}
+
+/**
+ * @param {number} cents - The amount in cents.
+ * @returns {string} The amount with two decimals in the format of the page language, without thousands separators so
+ * spreadsheet apps read it as a number.
+ */
+function formatAmount(cents) {
+  return new Intl.NumberFormat(document.documentElement.lang || undefined, {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+    useGrouping: false,
+  }).format(cents / 100);
+}
+
+/**
+ * @param {string} value - The value of a cell.
+ * @param {string} separator - The column separator.
+ * @returns {string} The value, quoted if needed.
+ */
+function toCsvValue(value, separator) {
+  if (!value.includes(separator) && !/["\r\n]/.test(value)) return value;
+
+  return `"${value.replace(/"/g, '""')}"`;
+}
+
+if (!customElements.get('cart-quote-component')) {
+  customElements.define('cart-quote-component', CartQuoteComponent);
+}
@@ -0,0 +1,142 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { morph } from '@theme/morph';
+
+// The section that renders the recommendations, see `section-rendering-cart-recommendations.liquid`
+const SECTION_ID = 'section-rendering-cart-recommendations';
+
+// The most products the recommendations endpoint returns. Products in the cart are left out of them, so as many as
+// possible are requested.
+const RECOMMENDATIONS_LIMIT = 10;
+
+/**
+ * The rendered recommendations, shared by the strips in the drawer and on the cart page.
+ * @type {Map<string, Promise<string>>}
+ */
+const recommendationRequests = new Map();
+
+/**
+ * A custom element that shows the complementary products of the most recently added cart line, with a quick add button.
+ *
+ * Section re-renders skip the element. It loads the recommendations again when the cart changes, and only swaps the
+ * products once the new ones are there, so the strip doesn't flicker.
+ *
+ * @typedef {object} CartRecommendationsRefs
+ * @property {HTMLUListElement} list - The list of recommended products.
+ *
+ * @extends {Component<CartRecommendationsRefs>}
+ */
+class CartRecommendationsComponent extends Component {
+  requiredRefs = ['list'];
+
+  /** @type {string | null} */
+  #currentKey = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    cartStore.get().then(this.#load, () => {});
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+  }
+
+  /**
+   * @param {import('@theme/events').CartUpdateEvent} event - The cart update event.
+   */
+  #handleCartUpdate = (event) => {
+    const cart = event.detail.resource;
+
+    if (cart.items) {
+      this.#load(/** @type {import('./cart').Cart} */ (cart));
+    } else {
+      cartStore.get().then(this.#load, () => {});
+    }
+  };
+
+  /**
+   * Loads the recommendations for the most recently added line, unless they're shown already.
+   * @param {import('./cart').Cart} cart - The cart.
+   */
+  #load = async (cart) => {
+    // The most recently added line comes first
+    const productId = cart.items[0]?.product_id;
+
+    if (!productId) {
+      this.#currentKey = null;
+      this.hidden = true;
+      return;
+    }
+
+    // The products in the cart are left out of the recommendations, so they're part of the key
+    const cartProductIds = [...new Set(cart.items.map((item) => item.product_id))].sort();
+    const key = `${productId}:${cartProductIds.join(',')}`;
+
+    if (key === this.#currentKey) return;
+    this.#currentKey = key;
+
+    try {
+      const html = await fetchRecommendations(this.dataset.url ?? '', productId, key);
+
+      // The cart changed again while loading
+      if (key !== this.#currentKey) return;
+
+      const list = new DOMParser().parseFromString(html, 'text/html').querySelector('[data-cart-recommendations]');
+
+      if (!list?.children.length) {
+        this.hidden = true;
+        return;
+      }
+
+      morph(this.refs.list, list);
+      this.hidden = false;
+    } catch (error) {
+      if (key !== this.#currentKey) return;
+
+      console.error('Cart recommendations error:', error);
+      this.#currentKey = null;
+      this.hidden = true;
+    }
+  };
+}
+
+/**
+ * Fetches the rendered recommendations of a product. Requests for the same product and cart contents are shared.
+ * @param {string} url - The product recommendations URL.
+ * @param {number} productId - The product ID.
+ * @param {string} key - The cache key, the product and the products in the cart.
+ * @returns {Promise<string>} The rendered section.
+ */
+function fetchRecommendations(url, productId, key) {
+  let request = recommendationRequests.get(key);
+
+  if (!request) {
+    const params = new URLSearchParams({
+      product_id: String(productId),
+      limit: String(RECOMMENDATIONS_LIMIT),
+      section_id: SECTION_ID,
+      intent: 'complementary',
+    });
+
+    request = fetch(`${url}?${params}`).then((response) => {
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      return response.text();
+    });
+
+    // Failed requests are tried again on the next cart update
+    request.catch(() => recommendationRequests.delete(key));
+    recommendationRequests.set(key, request);
+  }
+
+  return request;
+}
+
+if (!customElements.get('cart-recommendations-component')) {
+  customElements.define('cart-recommendations-component', CartRecommendationsComponent);
+}
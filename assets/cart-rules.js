@@ -0,0 +1,200 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * @typedef {'error' | 'warning'} CartRuleSeverity
+ */
+
+/**
+ * The rules of a variant in the cart.
+ *
+ * @typedef {object} CartProductRule
+ * @property {number} variant_id - The variant id.
+ * @property {string} title - The product title used in messages.
+ * @property {number} [multiple] - The pack size the quantity must be a multiple of.
+ * @property {number} [max] - The maximum quantity per order.
+ */
+
+/**
+ * The rules of the cart, rendered by `cart-rules.liquid`.
+ *
+ * @typedef {object} CartRules
+ * @property {number} [minimum_subtotal] - The minimum subtotal in the store currency, in cents.
+ * @property {CartRuleSeverity} [minimum_subtotal_severity] - Whether a lower subtotal blocks the checkout.
+ * @property {CartProductRule[]} [products] - The rules of the variants in the cart.
+ */
+
+/**
+ * A failed rule.
+ *
+ * @typedef {object} CartRuleViolation
+ * @property {'minimum_subtotal' | 'multiple' | 'maximum'} rule - The rule that failed.
+ * @property {CartRuleSeverity} severity - Whether the violation blocks the checkout.
+ * @property {Record<string, string | number>} values - The values of the message.
+ */
+
+/**
+ * Evaluates the cart rules against a cart.
+ * @param {import('./cart').Cart} cart - The cart.
+ * @param {CartRules} rules - The rules.
+ * @returns {CartRuleViolation[]} The failed rules, in the order they're shown.
+ */
+export function evaluateCartRules(cart, rules) {
+  /** @type {CartRuleViolation[]} */
+  const violations = [];
+
+  if (!cart.item_count) return violations;
+
+  const minimumSubtotal = Math.round((rules.minimum_subtotal ?? 0) * (Number(Shopify.currency.rate) || 1));
+
+  if (minimumSubtotal > 0 && cart.items_subtotal_price < minimumSubtotal) {
+    violations.push({
+      rule: 'minimum_subtotal',
+      severity: rules.minimum_subtotal_severity === 'warning' ? 'warning' : 'error',
+      values: { amount: minimumSubtotal, remaining: minimumSubtotal - cart.items_subtotal_price },
+    });
+  }
+
+  for (const product of rules.products ?? []) {
+    const quantity = cart.items
+      .filter((item) => item.variant_id === product.variant_id)
+      .reduce((total, item) => total + item.quantity, 0);
+
+    if (!quantity) continue;
+
+    if (product.max && quantity > product.max) {
+      violations.push({
+        rule: 'maximum',
+        severity: 'error',
+        values: { product: product.title, max: product.max },
+      });
+    } else if (product.multiple && product.multiple > 1 && quantity % product.multiple !== 0) {
+      // Suggest the next full pack, unless that exceeds the maximum
+      const nextMultiple = Math.ceil(quantity / product.multiple) * product.multiple;
+      const suggestion = product.max && nextMultiple > product.max ? nextMultiple - product.multiple : nextMultiple;
+
+      violations.push({
+        rule: 'multiple',
+        severity: 'error',
+        values: { product: product.title, multiple: product.multiple, suggestion },
+      });
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * A custom element that shows the cart rules that fail for the cart and disables the checkout and punch-out transfer
+ * buttons while a blocking rule fails.
+ *
+ * The rules are rendered in the `data-rules` attribute and evaluated in Liquid for the first render. After that they're
+ * evaluated again on every cart change, and whenever a section re-render brings new rules. Liquid can't convert the
+ * minimum subtotal to other currencies than the store currency, then the cart is loaded to evaluate it right away.
+ *
+ * @typedef {object} CartRulesRefs
+ * @property {HTMLUListElement} messages - The list of messages.
+ *
+ * @extends {Component<CartRulesRefs>}
+ */
+class CartRulesComponent extends Component {
+  requiredRefs = ['messages'];
+
+  static observedAttributes = ['data-rules', 'data-unconverted'];
+
+  /** @type {(() => void) | undefined} */
+  #unsubscribe;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    this.#unsubscribe = cartStore.subscribe(() => this.#render());
+    this.#render();
+
+    // In other currencies than the store currency, Liquid couldn't check the minimum subtotal
+    if (this.hasAttribute('data-unconverted') && !cartStore.state) {
+      cartStore
+        .get()
+        .then(() => this.#render())
+        .catch((error) => console.error('Failed to load the cart for the cart rules:', error));
+    }
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#unsubscribe?.();
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.#render();
+  }
+
+  /**
+   * The rules of the cart.
+   * @returns {CartRules}
+   */
+  get rules() {
+    try {
+      return JSON.parse(this.dataset.rules || '{}');
+    } catch {
+      return {};
+    }
+  }
+
+  /**
+   * Renders the failed rules for the last known cart. Until the cart has been loaded, the messages and checkout button
+   * rendered by Liquid are kept.
+   */
+  #render() {
+    const cart = cartStore.state;
+    if (!cart || !this.refs.messages) return;
+
+    const violations = evaluateCartRules(cart, this.rules);
+    const isBlocked = violations.some((violation) => violation.severity === 'error');
+
+    this.refs.messages.replaceChildren(...violations.map((violation) => this.#createMessage(violation)));
+    this.toggleAttribute('data-blocked', isBlocked);
+
+    // The punch-out transfer button replaces the checkout button in punch-out sessions, so it's blocked the same way
+    const buttons = this.closest('.cart__ctas')?.querySelectorAll('button[name="checkout"], [ref="transferButton"]');
+
+    for (const button of buttons ?? []) {
+      if (button instanceof HTMLButtonElement) button.disabled = isBlocked || !cart.item_count;
+    }
+
+    this.removeAttribute('data-unconverted');
+  }
+
+  /**
+   * @param {CartRuleViolation} violation - The failed rule.
+   * @returns {HTMLLIElement} The message.
+   */
+  #createMessage({ rule, severity, values }) {
+    const moneyFormat = this.dataset.moneyFormat ?? '';
+    const currency = this.dataset.currency ?? '';
+    const textKey = rule === 'minimum_subtotal' ? 'minimumSubtotalText' : `${rule}Text`;
+
+    let text = this.dataset[textKey] ?? '';
+
+    for (const [key, value] of Object.entries(values)) {
+      const formattedValue =
+        typeof value === 'number' && (key === 'amount' || key === 'remaining')
+          ? formatCents(value, moneyFormat, currency)
+          : String(value);
+
+      text = text.replace(`{{ ${key} }}`, formattedValue);
+    }
+
+    const message = document.createElement('li');
+    message.className = `cart-rules__message cart-rules__message--${severity}`;
+    message.textContent = text;
+
+    return message;
+  }
+}
+
+if (!customElements.get('cart-rules-component')) {
+  customElements.define('cart-rules-component', CartRulesComponent);
+}
@@ -0,0 +1,507 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { cartStore, getCartItemsSectionIds } from '@theme/cart';
+import { formatCents, fetchProduct } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+// The URL parameter holding a shared cart
+const SHARE_PARAM = 'shared_cart';
+
+// Prefixes of the encoded cart: compressed, or plain in browsers without compression streams
+const COMPRESSED_PREFIX = 'z';
+const PLAIN_PREFIX = 'j';
+
+// How long the "link copied" message is shown
+const COPIED_MESSAGE_DURATION = 3000;
+
+/**
+ * A line of a shared cart.
+ *
+ * @typedef {object} SharedCartLine
+ * @property {string} handle - The product handle, used to preview the line.
+ * @property {number} variantId - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ * @property {number | null} sellingPlan - The selling plan id.
+ */
+
+/**
+ * A cart shared through a link.
+ *
+ * @typedef {object} SharedCart
+ * @property {SharedCartLine[]} lines - The lines.
+ * @property {string} note - The cart note.
+ * @property {string[]} discountCodes - The discount codes.
+ */
+
+/**
+ * The shared cart as stored in the link, with short keys and each line as an array to keep the link short.
+ *
+ * @typedef {object} SharedCartPayload
+ * @property {[string, number, number, (Record<string, string> | 0)?, number?][]} l - The lines: handle, variant id,
+ * quantity, properties and selling plan id.
+ * @property {string} [n] - The cart note.
+ * @property {string[]} [d] - The discount codes.
+ */
+
+/**
+ * The parts of the product JSON used to preview the lines.
+ *
+ * @typedef {object} ProductJSON
+ * @property {string} title - The product title.
+ * @property {string} url - The product URL.
+ * @property {{ id: number, public_title: string | null, price: number, available: boolean }[]} variants - The variants.
+ */
+
+/**
+ * Encodes a cart into the value of a share link.
+ * @param {import('./cart').Cart} cart - The cart.
+ * @returns {Promise<string>} The encoded cart.
+ */
+export async function encodeSharedCart(cart) {
+  /** @type {SharedCartPayload} */
+  const payload = {
+    l: cart.items.map((item) => {
+      const properties = item.properties && Object.keys(item.properties).length ? item.properties : 0;
+      const sellingPlan = item.selling_plan_allocation?.selling_plan.id;
+
+      /** @type {SharedCartPayload['l'][number]} */
+      const line = [item.handle, item.variant_id, item.quantity];
+
+      if (properties || sellingPlan) line.push(properties);
+      if (sellingPlan) line.push(sellingPlan);
+
+      return line;
+    }),
+  };
+
+  if (cart.note) payload.n = cart.note;
+
+  const discountCodes = (cart.discount_codes ?? []).filter(({ applicable }) => applicable).map(({ code }) => code);
+  if (discountCodes.length) payload.d = discountCodes;
+
+  const bytes = new TextEncoder().encode(JSON.stringify(payload));
+
+  if (typeof CompressionStream === 'function') {
+    return COMPRESSED_PREFIX + toBase64Url(await transform(bytes, new CompressionStream('deflate-raw')));
+  }
+
+  return PLAIN_PREFIX + toBase64Url(bytes);
+}
+
+/**
+ * Decodes the value of a share link.
+ * @param {string} value - The encoded cart.
+ * @returns {Promise<SharedCart>} The shared cart.
+ * @throws {Error} When the value isn't a shared cart.
+ */
+export async function decodeSharedCart(value) {
+  let bytes = fromBase64Url(value.slice(1));
+
+  if (value.startsWith(COMPRESSED_PREFIX)) {
+    bytes = await transform(bytes, new DecompressionStream('deflate-raw'));
+  } else if (!value.startsWith(PLAIN_PREFIX)) {
+    throw new Error('Unknown shared cart format');
+  }
+
+  /** @type {SharedCartPayload} */
+  const payload = JSON.parse(new TextDecoder().decode(bytes));
+  if (!Array.isArray(payload.l)) throw new Error('The shared cart has no lines');
+
+  return {
+    lines: payload.l
+      .map(([handle, variantId, quantity, properties, sellingPlan]) => ({
+        handle: String(handle),
+        variantId: Number(variantId),
+        quantity: Number(quantity),
+        properties: properties && typeof properties === 'object' ? properties : null,
+        sellingPlan: Number(sellingPlan) || null,
+      }))
+      .filter(({ variantId, quantity }) => variantId > 0 && quantity > 0),
+    note: typeof payload.n === 'string' ? payload.n : '',
+    discountCodes: Array.isArray(payload.d) ? payload.d.map(String) : [],
+  };
+}
+
+/**
+ * Creates the link that opens the cart restore dialog with a cart.
+ * @param {import('./cart').Cart} cart - The cart.
+ * @returns {Promise<string>} The link.
+ */
+export async function getSharedCartUrl(cart) {
+  const url = new URL(Theme.routes.cart_url, window.location.origin);
+  url.searchParams.set(SHARE_PARAM, await encodeSharedCart(cart));
+
+  return url.toString();
+}
+
+/**
+ * A custom element that creates a link to the cart, to send it to someone else.
+ *
+ * @typedef {object} CartShareRefs
+ * @property {HTMLButtonElement} shareButton - The share button.
+ * @property {HTMLInputElement} link - The field showing the link, to copy it by hand.
+ * @property {HTMLElement} message - The status message.
+ *
+ * @extends {Component<CartShareRefs>}
+ */
+class CartShareComponent extends Component {
+  requiredRefs = ['shareButton', 'link', 'message'];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Creates the link to the cart and shares it, or copies it to the clipboard.
+   */
+  async share() {
+    const { shareButton, link } = this.refs;
+
+    shareButton.disabled = true;
+
+    try {
+      link.value = await getSharedCartUrl(await cartStore.get());
+      link.hidden = false;
+
+      if (navigator.share && matchMedia('(pointer: coarse)').matches) {
+        await navigator.share({ title: this.dataset.shareTitle, url: link.value });
+        return;
+      }
+
+      await navigator.clipboard.writeText(link.value);
+      this.#showMessage(this.dataset.copiedText ?? '');
+    } catch (error) {
+      // The customer closed the share sheet
+      if (error instanceof DOMException && error.name === 'AbortError') return;
+
+      // Copying can be blocked, the link is shown to copy it by hand
+      link.select();
+      this.#showMessage(this.dataset.copyText ?? '');
+    } finally {
+      shareButton.disabled = false;
+    }
+  }
+
+  /**
+   * @param {string} text - The message.
+   */
+  #showMessage(text) {
+    const { message } = this.refs;
+
+    message.textContent = text;
+
+    clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => (message.textContent = ''), COPIED_MESSAGE_DURATION);
+  }
+}
+
+if (!customElements.get('cart-share-component')) {
+  customElements.define('cart-share-component', CartShareComponent);
+}
+
+/**
+ * A custom element that previews a cart opened from a share link, and rebuilds it with one click.
+ *
+ * The preview is built from the product JSON of each line, so lines that are sold out or don't exist anymore are
+ * reported before the cart is rebuilt. Rebuilding replaces the line items of the visitor's cart.
+ *
+ * @typedef {object} CartRestoreRefs
+ * @property {HTMLDialogElement} dialog - The dialog.
+ * @property {HTMLUListElement} list - The lines of the shared cart.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a line in the list.
+ * @property {HTMLElement} details - The note and discount codes of the shared cart.
+ * @property {HTMLElement} message - The status message.
+ * @property {HTMLButtonElement} restoreButton - The button that rebuilds the cart.
+ *
+ * @extends {DialogComponent}
+ */
+class CartRestoreComponent extends DialogComponent {
+  requiredRefs = ['dialog', 'list', 'itemTemplate', 'details', 'message', 'restoreButton'];
+
+  /** @type {SharedCart | null} */
+  #sharedCart = null;
+
+  /**
+   * The lines that can't be added, with the reason, by variant id.
+   * @type {Map<number, string>}
+   */
+  #unavailableLines = new Map();
+
+  get #refs() {
+    return /** @type {CartRestoreRefs} */ (/** @type {unknown} */ (this.refs));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const value = new URL(window.location.href).searchParams.get(SHARE_PARAM);
+    if (value) this.#preview(value);
+  }
+
+  /**
+   * Replaces the line items of the cart with the available lines of the shared cart, and applies its note and
+   * discount codes.
+   */
+  async restore() {
+    const sharedCart = this.#sharedCart;
+    if (!sharedCart) return;
+
+    const { restoreButton } = this.#refs;
+    const lines = sharedCart.lines.filter(({ variantId }) => !this.#unavailableLines.has(variantId));
+    const { note, discountCodes } = sharedCart;
+    const hasDetails = Boolean(note || discountCodes.length);
+
+    /** @type {import('./cart').CartMutationOptions} */
+    const options = { sections: getCartItemsSectionIds(), source: 'cart-restore-component', sourceId: this.id };
+
+    restoreButton.disabled = true;
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      // The note and discount codes are sent after the lines, the last request renders the cart
+      const { failedItems } = await cartStore.replace(
+        lines.map(({ variantId, quantity, properties, sellingPlan }) => ({
+          id: variantId,
+          quantity,
+          ...(properties && { properties }),
+          ...(sellingPlan && { selling_plan: sellingPlan }),
+        })),
+        { ...options, silent: hasDetails }
+      );
+
+      if (hasDetails) {
+        await cartStore.update(
+          { ...(note && { note }), ...(discountCodes.length && { discount: discountCodes.join(',') }) },
+          { ...options, queueOffline: false }
+        );
+      }
+
+      for (const { item, message } of failedItems) this.#unavailableLines.set(Number(item.id), message);
+
+      this.#sharedCart = null;
+      this.#renderLines(sharedCart);
+      this.#showMessage(
+        this.#unavailableLines.size
+          ? (this.dataset.partiallyRestoredText ?? '').replace('{{ count }}', String(this.#unavailableLines.size))
+          : (this.dataset.restoredText ?? '')
+      );
+
+      // Reloading the page doesn't rebuild the cart again
+      const url = new URL(window.location.href);
+      url.searchParams.delete(SHARE_PARAM);
+      history.replaceState(history.state, '', url);
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.errorText ?? '', true);
+      restoreButton.disabled = false;
+    } finally {
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Shows the dialog with the lines of the shared cart.
+   * @param {string} value - The encoded cart.
+   */
+  async #preview(value) {
+    const { restoreButton } = this.#refs;
+
+    this.showDialog();
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const sharedCart = await decodeSharedCart(value);
+      const handles = new Set(sharedCart.lines.map(({ handle }) => handle));
+      const products = new Map(
+        await Promise.all(
+          Array.from(handles, async (handle) => {
+            /** @type {ProductJSON | null} */
+            const product = await fetchProduct(handle);
+
+            return /** @type {const} */ ([handle, product]);
+          })
+        )
+      );
+
+      /** @type {Map<number, { title: string, url: string, price: number }>} */
+      const variants = new Map();
+
+      for (const line of sharedCart.lines) {
+        const product = products.get(line.handle);
+        const variant = product?.variants.find(({ id }) => id === line.variantId);
+
+        if (!product || !variant) {
+          this.#unavailableLines.set(line.variantId, this.dataset.unavailableText ?? '');
+          continue;
+        }
+
+        if (!variant.available) this.#unavailableLines.set(line.variantId, this.dataset.soldOutText ?? '');
+
+        variants.set(line.variantId, {
+          title: variant.public_title ? `${product.title} – ${variant.public_title}` : product.title,
+          url: `${product.url}?variant=${variant.id}`,
+          price: variant.price,
+        });
+      }
+
+      this.#sharedCart = sharedCart;
+      this.#renderLines(sharedCart, variants);
+      this.#renderDetails(sharedCart);
+
+      restoreButton.disabled = this.#unavailableLines.size === sharedCart.lines.length;
+
+      if (this.#unavailableLines.size) {
+        this.#showMessage(
+          (this.dataset.unavailableCountText ?? '').replace('{{ count }}', String(this.#unavailableLines.size)),
+          true
+        );
+      }
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.invalidText ?? '', true);
+    } finally {
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * @param {SharedCart} sharedCart - The shared cart.
+   * @param {Map<number, { title: string, url: string, price: number }>} [variants] - The variants of the lines, keeps
+   * the rendered titles and prices when omitted.
+   */
+  #renderLines(sharedCart, variants) {
+    const { list, itemTemplate } = this.#refs;
+    const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+    const currency = this.dataset.currency ?? '';
+
+    if (!variants) {
+      for (const element of list.querySelectorAll('[data-variant-id]')) {
+        if (!(element instanceof HTMLElement)) continue;
+
+        const reason = this.#unavailableLines.get(Number(element.dataset.variantId));
+        this.#renderStatus(element, reason);
+      }
+
+      return;
+    }
+
+    list.replaceChildren(
+      ...sharedCart.lines.map((line) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+        const variant = variants.get(line.variantId);
+
+        element.dataset.variantId = String(line.variantId);
+
+        const title = element.querySelector('[data-title]');
+        if (title instanceof HTMLAnchorElement) {
+          title.textContent = variant?.title ?? line.handle;
+          if (variant) title.href = variant.url;
+        }
+
+        const quantity = element.querySelector('[data-quantity]');
+        if (quantity) quantity.textContent = `${line.quantity} ×`;
+
+        const price = element.querySelector('[data-price]');
+        if (price && variant) {
+          price.innerHTML = vatDisplay.renderPrice(variant.price * line.quantity, (cents) =>
+            formatCents(cents, moneyFormat, currency)
+          );
+        }
+
+        this.#renderStatus(element, this.#unavailableLines.get(line.variantId));
+
+        return element;
+      })
+    );
+  }
+
+  /**
+   * @param {HTMLElement} element - The line element.
+   * @param {string | undefined} reason - Why the line can't be added, undefined if it can.
+   */
+  #renderStatus(element, reason) {
+    element.classList.toggle('cart-restore__item--unavailable', reason !== undefined);
+
+    const status = element.querySelector('[data-status]');
+    if (status) status.textContent = reason ?? '';
+  }
+
+  /**
+   * @param {SharedCart} sharedCart - The shared cart.
+   */
+  #renderDetails({ note, discountCodes }) {
+    const { details } = this.#refs;
+
+    /** @type {string[]} */
+    const texts = [];
+
+    if (note) texts.push((this.dataset.noteText ?? '').replace('{{ note }}', note));
+    if (discountCodes.length) {
+      texts.push((this.dataset.discountText ?? '').replace('{{ codes }}', discountCodes.join(', ')));
+    }
+
+    details.replaceChildren(
+      ...texts.map((text) => {
+        const paragraph = document.createElement('p');
+        paragraph.textContent = text;
+
+        return paragraph;
+      })
+    );
+    details.hidden = !texts.length;
+  }
+
+  /**
+   * @param {string} text - The message.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #showMessage(text, isError = false) {
+    const { message } = this.#refs;
+
+    message.textContent = text;
+    message.classList.toggle('cart-restore__message--error', isError);
+  }
+}
+
+if (!customElements.get('cart-restore-component')) {
+  customElements.define('cart-restore-component', CartRestoreComponent);
+}
+
+/**
+ * @param {Uint8Array} bytes - The bytes.
+ * @param {CompressionStream | DecompressionStream} stream - The stream to pipe them through.
+ * @returns {Promise<Uint8Array>} The transformed bytes.
+ */
+async function transform(bytes, stream) {
+  const output = new Blob([/** @type {BlobPart} */ (bytes)]).stream().pipeThrough(stream);
+
+  return new Uint8Array(await new Response(output).arrayBuffer());
+}
+
+/**
+ * @param {Uint8Array} bytes - The bytes.
+ * @returns {string} The bytes in URL safe base64, without padding.
+ */
+function toBase64Url(bytes) {
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * @param {string} value - URL safe base64, with or without padding.
+ * @returns {Uint8Array} The bytes.
+ */
+function fromBase64Url(value) {
+  const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+
+  return Uint8Array.from(binary, (character) => character.charCodeAt(0));
+}
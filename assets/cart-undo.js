@@ -0,0 +1,109 @@
+import { Component } from '@theme/component';
+
+// How long the undo toast is shown after the last removal
+const UNDO_DURATION = 6000;
+
+/**
+ * A line removed from the cart, with everything needed to add it back.
+ *
+ * @typedef {object} RemovedLine
+ * @property {number} variantId - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {string} title - The line item title.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ * @property {number | null} sellingPlan - The selling plan id.
+ */
+
+/**
+ * A custom element that offers to undo the removal of cart lines for a few seconds.
+ *
+ * It only keeps the removed lines, restoring them is up to the cart items component. Consecutive removals are
+ * collected and restored together. Section re-renders skip it, so the toast survives the cart being re-rendered.
+ *
+ * @typedef {object} CartUndoRefs
+ * @property {HTMLElement} message - The removal message.
+ *
+ * @extends {Component<CartUndoRefs>}
+ */
+export class CartUndoComponent extends Component {
+  requiredRefs = ['message'];
+
+  /** @type {RemovedLine[]} */
+  #lines = [];
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    // Don't hide the toast while the customer is about to use it
+    this.addEventListener('pointerenter', this.#pause);
+    this.addEventListener('focusin', this.#pause);
+    this.addEventListener('pointerleave', this.#resume);
+    this.addEventListener('focusout', this.#resume);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Shows the toast for a removed line, together with the lines removed just before it.
+   * @param {RemovedLine} line - The removed line.
+   */
+  add(line) {
+    this.#lines.push(line);
+
+    const { message } = this.refs;
+    const text =
+      this.#lines.length === 1
+        ? (this.dataset.removedText ?? '').replace('{{ title }}', line.title)
+        : (this.dataset.removedCountText ?? '').replace('{{ count }}', String(this.#lines.length));
+
+    if (message.textContent !== text) message.textContent = text;
+
+    this.hidden = false;
+    this.#resume();
+  }
+
+  /**
+   * Hides the toast and hands over the removed lines to restore.
+   * @returns {RemovedLine[]} The removed lines, in the order they were removed.
+   */
+  takeLines() {
+    const lines = this.#lines;
+
+    this.dismiss();
+
+    return lines;
+  }
+
+  /**
+   * Hides the toast, the removed lines can't be restored anymore.
+   */
+  dismiss() {
+    clearTimeout(this.#timeout);
+
+    this.#lines = [];
+    this.hidden = true;
+  }
+
+  #pause = () => {
+    clearTimeout(this.#timeout);
+  };
+
+  #resume = () => {
+    clearTimeout(this.#timeout);
+
+    if (this.hidden || this.matches(':focus-within')) return;
+
+    this.#timeout = setTimeout(() => this.dismiss(), UNDO_DURATION);
+  };
+}
+
+if (!customElements.get('cart-undo-component')) {
+  customElements.define('cart-undo-component', CartUndoComponent);
+}
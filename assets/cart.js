@@ -0,0 +1,842 @@
+import { debounce, fetchConfig } from '@theme/utilities';
+import { CartAddEvent, CartErrorEvent, CartQueueUpdateEvent, CartUpdateEvent } from '@theme/events';
+
+// The broadcast channel, or local storage key in browsers without BroadcastChannel, used to tell other tabs the cart changed
+const SYNC_CHANNEL_NAME = 'theme:cart';
+
+// The source of cart update events for changes made in another tab
+export const CART_SYNC_SOURCE = 'cart-sync';
+
+// Bursts of changes in other tabs, e.g. a quick order adding many lines, only refresh the cart once
+const SYNC_DEBOUNCE_DELAY = 200;
+
+// The local storage key, and lock name, of the cart changes made while offline
+const OFFLINE_QUEUE_KEY = 'theme:cart-queue';
+
+// The source of cart events for changes made offline and sent once the connection is back
+export const CART_QUEUE_SOURCE = 'cart-queue';
+
+/**
+ * A line item of the cart, as returned by the Ajax Cart API.
+ *
+ * @typedef {object} CartItem
+ * @property {number} id - The variant id.
+ * @property {string} key - The unique line item key.
+ * @property {number} variant_id - The variant id.
+ * @property {number} product_id - The product id.
+ * @property {string} handle - The product handle.
+ * @property {number} quantity - The quantity.
+ * @property {string} [sku] - The variant SKU.
+ * @property {string} title - The line item title.
+ * @property {string} [product_title] - The product title.
+ * @property {string | null} [variant_title] - The variant title, null for products without variants.
+ * @property {string} url - The variant URL.
+ * @property {string | null} image - The line item image URL.
+ * @property {number} price - The unit price, in cents.
+ * @property {number} final_price - The unit price after line discounts, in cents.
+ * @property {number} final_line_price - The line price after line discounts, in cents.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ * @property {{ selling_plan: { id: number, name: string } } | null} [selling_plan_allocation] - The selling plan.
+ */
+
+/**
+ * The cart, as returned by the Ajax Cart API.
+ *
+ * @typedef {object} Cart
+ * @property {string} token - The cart token.
+ * @property {string | null} note - The cart note.
+ * @property {Record<string, string>} attributes - The cart attributes.
+ * @property {number} item_count - The number of items in the cart.
+ * @property {number} items_subtotal_price - The subtotal of the line items, in cents.
+ * @property {number} total_price - The total price, in cents.
+ * @property {number} total_discount - The total discount, in cents.
+ * @property {string} currency - The ISO code of the cart currency.
+ * @property {CartItem[]} items - The line items.
+ * @property {{ code: string, applicable: boolean }[]} [discount_codes] - The discount codes.
+ */
+
+/**
+ * The cart returned from a mutation, together with the sections rendered for it.
+ *
+ * @typedef {Cart & { sections?: Record<string, string> }} CartResponse
+ */
+
+/**
+ * @typedef {object} CartMutationOptions
+ * @property {EventTarget} [target] - The element the cart events are dispatched from, defaults to the document.
+ * @property {string} [sourceId] - The id of the element the action was triggered from.
+ * @property {string} [source] - The name of the component the action was triggered from.
+ * @property {string} [productId] - The id of the product that was added or updated.
+ * @property {string} [variantId] - The id of the variant that was added or updated.
+ * @property {string[]} [sections] - The ids of the sections to render with the new cart.
+ * @property {AbortSignal} [signal] - Aborts the request.
+ * @property {boolean} [silent] - Skips the cart update event, e.g. for changes that don't affect the line items.
+ * @property {string} [label] - Describes the change to the customer if it's queued offline, e.g. the product title.
+ * @property {boolean} [queueOffline] - Whether to queue the change if the shop can't be reached, defaults to true.
+ */
+
+/**
+ * An item to add to the cart.
+ *
+ * @typedef {object} CartItemInput
+ * @property {number | string} id - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {Record<string, string>} [properties] - The line item properties.
+ * @property {number | string} [selling_plan] - The selling plan id.
+ */
+
+/**
+ * An item that couldn't be added when the cart was replaced.
+ *
+ * @typedef {object} CartReplaceFailure
+ * @property {CartItemInput} item - The item.
+ * @property {string} message - The error message.
+ */
+
+/**
+ * A cart change made while offline, sent once the connection is back.
+ *
+ * @typedef {object} QueuedCartMutation
+ * @property {string} id - The id of the queued change.
+ * @property {'add' | 'change' | 'update'} type - The cart store method to send it with.
+ * @property {Record<string, any>} body - The request body.
+ * @property {string} label - Describes the change to the customer.
+ * @property {number} quantity - The quantity added, 0 for changes and updates.
+ */
+
+/**
+ * A queued cart change that failed once it was sent, e.g. because the product sold out meanwhile.
+ *
+ * @typedef {object} CartMutationConflict
+ * @property {string} label - Describes the change to the customer.
+ * @property {string} message - The error message.
+ */
+
+/**
+ * @callback CartListener
+ * @param {Cart} cart - The new cart.
+ * @returns {void}
+ */
+
+/**
+ * An error returned by the Ajax Cart API.
+ */
+export class CartError extends Error {
+  /**
+   * @param {{ status?: number, message?: string, description?: string | null, errors?: any }} data - The error response.
+   */
+  constructor(data) {
+    super(data.description || data.message || 'Cart request failed');
+    this.name = 'CartError';
+    this.status = data.status;
+    this.title = data.message ?? '';
+    this.description = data.description ?? null;
+    this.errors = data.errors;
+  }
+}
+
+/**
+ * Thrown by cart mutations that couldn't reach the shop and were queued instead. They're sent once the connection is
+ * back, failures are reported as conflicts.
+ */
+export class CartOfflineError extends Error {
+  constructor() {
+    super('The cart change is queued until the connection is back');
+    this.name = 'CartOfflineError';
+  }
+}
+
+/**
+ * Owns the cart state. All cart requests go through here, so mutations never overlap
+ * and every component sees the same cart.
+ */
+class CartStore {
+  /** @type {Cart | null} */
+  #cart = null;
+
+  /**
+   * The tail of the mutation queue.
+   * @type {Promise<unknown>}
+   */
+  #queue = Promise.resolve();
+
+  /**
+   * The read in flight, shared by everyone asking for the cart at the same time.
+   * @type {Promise<Cart> | null}
+   */
+  #pendingRead = null;
+
+  /** @type {Set<CartListener>} */
+  #listeners = new Set();
+
+  /** @type {BroadcastChannel | null} */
+  #channel = null;
+
+  /**
+   * Whether another tab changed the cart while this one was hidden.
+   */
+  #hasPendingSync = false;
+
+  /** @type {CartMutationConflict[]} */
+  #conflicts = [];
+
+  #isReplaying = false;
+
+  constructor() {
+    if (typeof BroadcastChannel === 'function') {
+      this.#channel = new BroadcastChannel(SYNC_CHANNEL_NAME);
+      this.#channel.addEventListener('message', () => this.#debouncedSync());
+    } else {
+      window.addEventListener('storage', (event) => {
+        if (event.key === SYNC_CHANNEL_NAME) this.#debouncedSync();
+      });
+    }
+
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible' && this.#hasPendingSync) this.#sync();
+    });
+
+    window.addEventListener('online', () => this.replay());
+    window.addEventListener('storage', (event) => {
+      if (event.key === OFFLINE_QUEUE_KEY) this.#dispatchQueueUpdate();
+    });
+
+    // Changes queued before the page was reloaded
+    if (readOfflineQueue().length) this.replay();
+  }
+
+  /**
+   * The last known cart, null until the cart has been loaded.
+   * @returns {Cart | null}
+   */
+  get state() {
+    return this.#cart;
+  }
+
+  /**
+   * The cart changes made offline that haven't been sent yet, in the order they were made.
+   * @returns {QueuedCartMutation[]}
+   */
+  get pending() {
+    return readOfflineQueue();
+  }
+
+  /**
+   * The queued cart changes that failed once they were sent.
+   * @returns {CartMutationConflict[]}
+   */
+  get conflicts() {
+    return this.#conflicts;
+  }
+
+  /**
+   * Forgets the failed cart changes once the customer has seen them.
+   */
+  dismissConflicts() {
+    this.#conflicts = [];
+    this.#dispatchQueueUpdate();
+  }
+
+  /**
+   * Sends the cart changes made offline, one by one in the order they were made. Stops at the first one that can't
+   * reach the shop, the next `online` event tries again. Other tabs wait for the replay, so changes are sent once.
+   * @returns {Promise<void>}
+   */
+  async replay() {
+    if (this.#isReplaying || !navigator.onLine) return;
+
+    this.#isReplaying = true;
+
+    const replayQueue = async () => {
+      let mutation;
+
+      // The queue is read again for every change, another tab may have sent or queued changes meanwhile
+      while ((mutation = readOfflineQueue()[0])) {
+        /** @type {CartMutationOptions} */
+        const options = { sections: getCartItemsSectionIds(), source: CART_QUEUE_SOURCE, queueOffline: false };
+
+        try {
+          if (mutation.type === 'add') {
+            await this.add(/** @type {any} */ (mutation.body), options);
+          } else if (mutation.type === 'change') {
+            await this.change(/** @type {any} */ (mutation.body), options);
+          } else {
+            await this.update(mutation.body, options);
+          }
+        } catch (error) {
+          if (!(error instanceof CartError)) {
+            console.error('Failed to send the queued cart changes:', error);
+            return;
+          }
+
+          this.#conflicts.push({ label: mutation.label, message: error.description || error.title });
+        }
+
+        const { id } = mutation;
+        writeOfflineQueue(readOfflineQueue().filter((queued) => queued.id !== id));
+        this.#dispatchQueueUpdate();
+      }
+    };
+
+    try {
+      if (navigator.locks) {
+        await navigator.locks.request(OFFLINE_QUEUE_KEY, replayQueue);
+      } else {
+        await replayQueue();
+      }
+    } finally {
+      this.#isReplaying = false;
+    }
+  }
+
+  /**
+   * Returns the cart, fetching it only if it hasn't been loaded yet.
+   * Waits for pending mutations so the result is never older than the last change.
+   * @returns {Promise<Cart>} The cart.
+   */
+  async get() {
+    await this.#queue;
+
+    return this.#cart ?? this.refresh();
+  }
+
+  /**
+   * Fetches the cart from the server, e.g. after it was changed outside of the store.
+   * @returns {Promise<Cart>} The cart.
+   */
+  refresh() {
+    if (!this.#pendingRead) {
+      this.#pendingRead = this.#queue
+        .then(() => this.#fetchCart())
+        .finally(() => {
+          this.#pendingRead = null;
+        });
+    }
+
+    return this.#pendingRead;
+  }
+
+  /**
+   * Calls the listener with the new cart whenever it changes.
+   * @param {CartListener} listener - The listener.
+   * @returns {() => void} A function that removes the listener.
+   */
+  subscribe(listener) {
+    this.#listeners.add(listener);
+
+    return () => this.#listeners.delete(listener);
+  }
+
+  /**
+   * The total quantity of a variant in the cart, across all its line items.
+   * @param {number | string} variantId - The variant id.
+   * @returns {number} The quantity, 0 if the cart hasn't been loaded.
+   */
+  getVariantQuantity(variantId) {
+    const id = Number(variantId);
+
+    return (this.#cart?.items ?? [])
+      .filter((item) => item.variant_id === id)
+      .reduce((total, item) => total + item.quantity, 0);
+  }
+
+  /**
+   * Adds items to the cart and dispatches a cart add event.
+   * @param {FormData | { items: { id: number | string, quantity: number, properties?: Record<string, string>, selling_plan?: number | string }[] }} body - A product form's data or the items to add.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  add(body, options = {}) {
+    return this.#enqueue(async () => {
+      const { sections, signal } = options;
+      const jsonBody = body instanceof FormData ? formDataToJSON(body) : body;
+      let config;
+
+      if (body instanceof FormData) {
+        if (sections?.length) {
+          body.append('sections', sections.join(','));
+          body.append('sections_url', window.location.pathname);
+        }
+
+        const fetchCfg = fetchConfig('javascript', { body });
+        config = { ...fetchCfg, headers: { ...fetchCfg.headers, Accept: 'text/html' } };
+      } else {
+        config = fetchConfig('json', { body: JSON.stringify({ ...body, ...this.#sectionsParams(sections) }) });
+      }
+
+      const response = await this.#send(Theme.routes.cart_add_url, { ...config, signal }, options, () => {
+        if (!jsonBody) return null;
+
+        /** @type {{ quantity?: number | string }[]} */
+        const items = jsonBody.items ?? [jsonBody];
+        const quantity = items.reduce((total, item) => total + (Number(item.quantity) || 1), 0);
+
+        return { type: 'add', body: jsonBody, quantity };
+      });
+      const data = await response.json();
+
+      // The response only holds the added items, so the cart is fetched to learn the new totals
+      const cart = await this.#fetchCart();
+      this.#broadcast();
+
+      if (isCartError(response, data)) {
+        const error = new CartError(data);
+        this.#dispatchError(error, options);
+
+        // The cart may still have changed, e.g. when more than the available stock was added
+        if (!options.silent) {
+          this.#dispatch(
+            new CartAddEvent(cart, options.sourceId, { ...this.#eventData(cart, options), didError: true }),
+            options
+          );
+        }
+
+        throw error;
+      }
+
+      const result = { ...cart, sections: data.sections };
+      if (!options.silent) {
+        this.#dispatch(
+          new CartAddEvent(cart, options.sourceId, {
+            ...this.#eventData(cart, options),
+            items: data.items ?? [data],
+            sections: data.sections,
+          }),
+          options
+        );
+      }
+
+      return result;
+    });
+  }
+
+  /**
+   * Changes the quantity or properties of a line item and dispatches a cart update event.
+   * @param {{ line?: number, id?: string, quantity: number, properties?: Record<string, string>, selling_plan?: number | string | null }} change - The line (1-based) or line item key and the new values.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  change(change, options = {}) {
+    return this.#mutate(Theme.routes.cart_change_url, change, options);
+  }
+
+  /**
+   * Updates quantities, attributes, the note or the discount codes of the cart and dispatches a cart update event.
+   * @param {{ updates?: Record<string, number> | number[], attributes?: Record<string, string>, note?: string, discount?: string }} update - The values to update.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  update(update, options = {}) {
+    return this.#mutate(Theme.routes.cart_update_url, update, options);
+  }
+
+  /**
+   * Replaces the line items of the cart, e.g. to switch to a saved cart, and dispatches a cart update event. Items that
+   * can't be added, e.g. because they sold out, are left out and returned in `failedItems`. The cart attributes and
+   * note are kept. Replacing the cart is never queued offline.
+   * @param {CartItemInput[]} items - The items of the new cart.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse & { failedItems: CartReplaceFailure[] }>} The new cart.
+   */
+  replace(items, options = {}) {
+    return this.#enqueue(async () => {
+      const sendOptions = { ...options, queueOffline: false };
+
+      /**
+       * @param {string} url - The endpoint.
+       * @param {object} body - The request body.
+       * @returns {Promise<any>} The response data.
+       * @throws {CartError} When the request failed.
+       */
+      const post = async (url, body) => {
+        const init = { ...fetchConfig('json', { body: JSON.stringify(body) }), signal: options.signal };
+        const response = await this.#send(url, init, sendOptions, () => null);
+        const data = await response.json();
+
+        if (isCartError(response, data)) throw new CartError(data);
+
+        return data;
+      };
+
+      /** @type {CartReplaceFailure[]} */
+      const failedItems = [];
+
+      try {
+        await post(Theme.routes.cart_clear_url, {});
+
+        if (items.length) {
+          try {
+            await post(Theme.routes.cart_add_url, { items });
+          } catch (error) {
+            if (!(error instanceof CartError)) throw error;
+
+            // A single unavailable item fails the whole request, so the items are added one by one to find it
+            for (const item of items) {
+              try {
+                await post(Theme.routes.cart_add_url, { items: [item] });
+              } catch (itemError) {
+                if (!(itemError instanceof CartError)) throw itemError;
+
+                failedItems.push({ item, message: itemError.message });
+              }
+            }
+          }
+        }
+      } catch (error) {
+        if (error instanceof CartError) this.#dispatchError(error, options);
+
+        // The cart may have been cleared already, so the cart components render it again
+        const cart = await this.#fetchCart().catch(() => null);
+
+        if (cart) {
+          this.#broadcast();
+          this.#dispatch(new CartUpdateEvent(cart, options.sourceId ?? '', this.#eventData(cart, options)), options);
+        }
+
+        throw error;
+      }
+
+      // An empty update renders the sections for the new cart
+      const { sections, ...cart } = await post(Theme.routes.cart_update_url, this.#sectionsParams(options.sections));
+      this.#setCart(cart);
+      this.#broadcast();
+
+      if (!options.silent) {
+        this.#dispatch(
+          new CartUpdateEvent(cart, options.sourceId ?? '', { ...this.#eventData(cart, options), sections }),
+          options
+        );
+      }
+
+      return { ...cart, sections, failedItems };
+    });
+  }
+
+  /**
+   * Updates the cart note, without notifying the cart sections.
+   * @param {string} note - The note.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  updateNote(note, options = {}) {
+    return this.update({ note }, { silent: true, ...options });
+  }
+
+  /**
+   * Updates cart attributes, without notifying the cart sections. Attributes set to an empty string are removed.
+   * @param {Record<string, string>} attributes - The attributes.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  updateAttributes(attributes, options = {}) {
+    return this.update({ attributes }, { silent: true, ...options });
+  }
+
+  /**
+   * Replaces the discount codes of the cart, without notifying the cart sections.
+   * Check `discount_codes` of the result for codes that don't apply.
+   * @param {string[]} codes - The discount codes.
+   * @param {CartMutationOptions} [options] - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  updateDiscounts(codes, options = {}) {
+    return this.update({ discount: codes.join(',') }, { silent: true, ...options });
+  }
+
+  /**
+   * Posts a change or update request.
+   * @param {string} url - The endpoint.
+   * @param {object} body - The request body.
+   * @param {CartMutationOptions} options - The options.
+   * @returns {Promise<CartResponse>} The new cart.
+   */
+  #mutate(url, body, options) {
+    return this.#enqueue(async () => {
+      const init = {
+        ...fetchConfig('json', { body: JSON.stringify({ ...body, ...this.#sectionsParams(options.sections) }) }),
+        signal: options.signal,
+      };
+      const response = await this.#send(url, init, options, () => ({
+        type: url === Theme.routes.cart_change_url ? 'change' : 'update',
+        body,
+        quantity: 0,
+      }));
+      const data = await response.json();
+
+      if (isCartError(response, data)) {
+        const error = new CartError(data);
+        this.#dispatchError(error, options);
+        throw error;
+      }
+
+      const { sections, ...cart } = data;
+      this.#setCart(cart);
+      this.#broadcast();
+
+      if (!options.silent) {
+        this.#dispatch(
+          new CartUpdateEvent(cart, options.sourceId ?? '', { ...this.#eventData(cart, options), sections }),
+          options
+        );
+      }
+
+      return data;
+    });
+  }
+
+  /**
+   * Sends a cart request. When the browser is offline, or the request can't reach the shop, the change is queued
+   * instead and a `CartOfflineError` is thrown.
+   * @param {string} url - The endpoint.
+   * @param {RequestInit} init - The request options.
+   * @param {CartMutationOptions} options - The options.
+   * @param {() => Omit<QueuedCartMutation, 'id' | 'label'> | null} getMutation - Returns the change to queue, null if
+   * it can't be stored, e.g. a form with a file upload.
+   * @returns {Promise<Response>} The response.
+   */
+  async #send(url, init, options, getMutation) {
+    const canQueue = options.queueOffline !== false;
+
+    if (canQueue && !navigator.onLine) this.#queueOffline(getMutation(), options);
+
+    try {
+      return await fetch(url, init);
+    } catch (error) {
+      // Fetch only rejects with a type error when the request couldn't be sent
+      if (canQueue && error instanceof TypeError) this.#queueOffline(getMutation(), options);
+
+      throw error;
+    }
+  }
+
+  /**
+   * Queues a change to send once the connection is back.
+   * @param {Omit<QueuedCartMutation, 'id' | 'label'> | null} mutation - The change, null if it can't be queued.
+   * @param {CartMutationOptions} options - The options.
+   * @throws {CartOfflineError} When the change was queued.
+   */
+  #queueOffline(mutation, options) {
+    if (!mutation) return;
+
+    const id = `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+    const queued = writeOfflineQueue([...readOfflineQueue(), { ...mutation, id, label: options.label ?? '' }]);
+
+    if (!queued) return;
+
+    this.#dispatchQueueUpdate();
+
+    throw new CartOfflineError();
+  }
+
+  #dispatchQueueUpdate() {
+    document.dispatchEvent(new CartQueueUpdateEvent(readOfflineQueue(), this.#conflicts));
+  }
+
+  /**
+   * Runs a mutation once the previous ones have settled.
+   * @template T
+   * @param {() => Promise<T>} task - The mutation.
+   * @returns {Promise<T>} The result of the mutation.
+   */
+  #enqueue(task) {
+    const result = this.#queue.then(task, task);
+    this.#queue = result.catch(() => {});
+
+    return result;
+  }
+
+  /**
+   * @returns {Promise<Cart>} The cart.
+   */
+  async #fetchCart() {
+    const response = await fetch(`${Theme.routes.cart_url}.js`);
+    const cart = await response.json();
+
+    this.#setCart(cart);
+
+    return cart;
+  }
+
+  /**
+   * @param {Cart} cart - The new cart.
+   */
+  #setCart(cart) {
+    this.#cart = cart;
+
+    for (const listener of this.#listeners) {
+      try {
+        listener(cart);
+      } catch (error) {
+        console.error(error);
+      }
+    }
+  }
+
+  /**
+   * @param {string[] | undefined} sections - The section ids.
+   * @returns {{ sections?: string, sections_url?: string }} The section rendering parameters.
+   */
+  #sectionsParams(sections) {
+    if (!sections?.length) return {};
+
+    return { sections: sections.join(','), sections_url: window.location.pathname };
+  }
+
+  /**
+   * @param {Cart} cart - The new cart.
+   * @param {CartMutationOptions} options - The options.
+   */
+  #eventData(cart, { source, productId, variantId }) {
+    return { source, productId, variantId, itemCount: cart.item_count };
+  }
+
+  /**
+   * @param {CartError} error - The error.
+   * @param {CartMutationOptions} options - The options.
+   */
+  #dispatchError(error, options) {
+    this.#dispatch(
+      new CartErrorEvent(options.sourceId ?? '', error.title, error.description ?? '', error.errors),
+      options
+    );
+  }
+
+  /**
+   * @param {Event} event - The event.
+   * @param {CartMutationOptions} options - The options.
+   */
+  #dispatch(event, { target = document }) {
+    target.dispatchEvent(event);
+  }
+
+  /**
+   * Tells the other tabs that the cart changed. They fetch the cart themselves, so a message from a tab
+   * that lost a race with another tab's change can't overwrite the newer cart.
+   */
+  #broadcast() {
+    if (this.#channel) {
+      this.#channel.postMessage(Date.now());
+      return;
+    }
+
+    try {
+      // The storage event only fires when the value changes
+      localStorage.setItem(SYNC_CHANNEL_NAME, String(Date.now()));
+    } catch (error) {
+      // Storage can be full or disabled, the other tabs catch up when they're reloaded
+    }
+  }
+
+  #debouncedSync = debounce(() => {
+    this.#hasPendingSync = true;
+
+    // Hidden tabs catch up once they're visible again, so a change doesn't make every open tab fetch the cart
+    if (document.visibilityState === 'visible') this.#sync();
+  }, SYNC_DEBOUNCE_DELAY);
+
+  /**
+   * Refreshes the cart after another tab changed it, and notifies the cart components if it's different.
+   */
+  async #sync() {
+    this.#hasPendingSync = false;
+
+    const previousCart = this.#cart;
+
+    let cart;
+    try {
+      cart = await this.refresh();
+    } catch (error) {
+      console.error('Failed to sync the cart:', error);
+      return;
+    }
+
+    if (previousCart && JSON.stringify(previousCart) === JSON.stringify(cart)) return;
+
+    document.dispatchEvent(new CartUpdateEvent(cart, '', { source: CART_SYNC_SOURCE, itemCount: cart.item_count }));
+  }
+}
+
+/**
+ * @param {Response} response - The response.
+ * @param {any} data - The parsed response body.
+ * @returns {boolean} Whether the Ajax Cart API returned an error.
+ */
+function isCartError(response, data) {
+  return !response.ok || Boolean(data.status) || Boolean(data.errors);
+}
+
+/**
+ * Converts a product form's data to the JSON body of an add request, so it can be stored.
+ * @param {FormData} formData - The form data.
+ * @returns {Record<string, any> | null} The body, null if the form holds a file.
+ */
+function formDataToJSON(formData) {
+  /** @type {Record<string, any>} */
+  const body = {};
+
+  for (const [name, value] of formData) {
+    if (typeof value !== 'string') {
+      if (value.size === 0) continue;
+
+      return null;
+    }
+
+    const property = name.match(/^properties\[(.+)\]$/)?.[1];
+
+    if (property) {
+      body.properties = { ...body.properties, [property]: value };
+    } else {
+      body[name] = value;
+    }
+  }
+
+  return body;
+}
+
+/**
+ * @returns {QueuedCartMutation[]} The cart changes made offline.
+ */
+function readOfflineQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(OFFLINE_QUEUE_KEY) || '[]');
+
+    return Array.isArray(queue) ? queue : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {QueuedCartMutation[]} queue - The cart changes made offline.
+ * @returns {boolean} Whether the queue was stored.
+ */
+function writeOfflineQueue(queue) {
+  try {
+    if (queue.length) {
+      localStorage.setItem(OFFLINE_QUEUE_KEY, JSON.stringify(queue));
+    } else {
+      localStorage.removeItem(OFFLINE_QUEUE_KEY);
+    }
+
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * The ids of the sections that render the cart items, to be rendered along with cart mutations.
+ * @returns {string[]} The section ids.
+ */
+export function getCartItemsSectionIds() {
+  /** @type {Set<string>} */
+  const sectionIds = new Set();
+
+  for (const item of document.querySelectorAll('cart-items-component')) {
+    if (item instanceof HTMLElement && item.dataset.sectionId) sectionIds.add(item.dataset.sectionId);
+  }
+
+  return Array.from(sectionIds);
+}
+
+export const cartStore = new CartStore();
@@ -1,5 +1,5 @@
 import { Component } from '@theme/component';
-import { fetchConfig, debounce, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
+import { formatCents, onAnimationEnd, prefersReducedMotion, resetShimmer } from '@theme/utilities';
 import { morphSection, sectionRenderer } from '@theme/section-renderer';
 import {
   ThemeEvents,
@@ -9,8 +9,40 @@ import {
   DiscountUpdateEvent,
 } from '@theme/events';
 import { cartPerformance } from '@theme/performance';
+import { cartStore, getCartItemsSectionIds, CartError, CartOfflineError } from '@theme/cart';
+import { vatDisplay } from '@theme/vat-display';
 
 /** @typedef {import('./utilities').TextComponent} TextComponent */
+/** @typedef {import('./cart-undo').RemovedLine} RemovedLine */
+
+// Quantity changes of a line within this delay are sent as one request
+const LINE_CHANGE_DELAY = 300;
+
+/**
+ * A line whose quantity changed, shown optimistically until the cart is re-rendered.
+ *
+ * @typedef {object} PendingLine
+ * @property {number} baseQuantity - The quantity the line was rendered with.
+ * @property {number} confirmedQuantity - The quantity last confirmed by the server.
+ * @property {number} quantity - The quantity shown.
+ * @property {number} unitPrice - The unit price after line discounts, in cents.
+ * @property {string} priceHTML - The line price the line was rendered with.
+ * @property {number | undefined} timeout - The timeout of the request waiting for more changes.
+ * @property {boolean} isUpdating - Whether a request for the line is in flight.
+ */
+
+/**
+ * @param {RemovedLine} line - A removed line.
+ * @returns {import('./cart').CartItemInput} The item to add the line back.
+ */
+function toCartItem({ variantId, quantity, properties, sellingPlan }) {
+  return {
+    id: variantId,
+    quantity,
+    ...(properties && { properties }),
+    ...(sellingPlan && { selling_plan: sellingPlan }),
+  };
+}
 
 /**
  * A custom element that displays a cart items component.
@@ -19,51 +51,311 @@ import { cartPerformance } from '@theme/performance';
  * @property {HTMLElement[]} quantitySelectors - The quantity selector elements.
  * @property {HTMLTableRowElement[]} cartItemRows - The cart item rows.
  * @property {TextComponent} cartTotal - The cart total.
+ * @property {import('./cart-undo').CartUndoComponent} [undoToast] - The toast to undo removals.
+ * @property {import('./saved-for-later').SavedForLaterComponent} [savedForLater] - The items saved for later.
  *
  * @extends {Component<Refs>}
  */
 class CartItemsComponent extends Component {
-  #debouncedOnChange = debounce(this.#onQuantityChange, 300).bind(this);
+  /**
+   * The lines with quantity changes that haven't been re-rendered yet, by line item key.
+   * @type {Map<string, PendingLine>}
+   */
+  #pendingLines = new Map();
+
+  /**
+   * The cart total the pending lines were changed from, in cents.
+   */
+  #baseTotal = 0;
+
+  /**
+   * The latest sections rendered for the cart, applied once no line is pending anymore.
+   * @type {Record<string, string> | undefined}
+   */
+  #pendingSections;
+
+  /**
+   * Whether the cart changed elsewhere while lines were pending, without sections rendered for it, so the section is
+   * rendered again once no line is pending anymore.
+   */
+  #isStale = false;
+
+  /**
+   * The errors of lines whose change failed, by line item key, shown again after re-renders.
+   * @type {Map<string, string>}
+   */
+  #lineErrors = new Map();
 
   connectedCallback() {
     super.connectedCallback();
 
     document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
     document.addEventListener(ThemeEvents.discountUpdate, this.handleDiscountUpdate);
-    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
 
     document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
-    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#debouncedOnChange);
+    document.removeEventListener(ThemeEvents.quantitySelectorUpdate, this.#onQuantityChange);
+
+    for (const pendingLine of this.#pendingLines.values()) clearTimeout(pendingLine.timeout);
   }
 
   /**
    * Handles QuantitySelectorUpdateEvent change event.
    * @param {QuantitySelectorUpdateEvent} event - The event.
    */
-  #onQuantityChange(event) {
+  #onQuantityChange = (event) => {
     const { quantity, cartLine: line } = event.detail;
 
-    if (!line) return;
+    if (!line || !(event.target instanceof Node) || !this.contains(event.target)) return;
 
     if (quantity === 0) {
       return this.onLineItemRemove(line);
     }
 
-    this.updateQuantity({
-      line,
-      quantity,
-      action: 'change',
-    });
     const lineItemRow = this.refs.cartItemRows[line - 1];
-
     if (!lineItemRow) return;
 
-    const textComponent = /** @type {TextComponent | undefined} */ (lineItemRow.querySelector('text-component'));
-    textComponent?.shimmer();
+    this.#changeLineQuantity(lineItemRow, quantity);
+  };
+
+  /**
+   * Shows the new quantity, line price and total of a line right away, and sends the change once the customer stops
+   * changing the quantity. Only one request per line is in flight; changes made meanwhile are sent after it.
+   * @param {HTMLTableRowElement} row - The line item row.
+   * @param {number} quantity - The new quantity.
+   */
+  #changeLineQuantity(row, quantity) {
+    const { key } = row.dataset;
+    if (!key) return;
+
+    if (!this.#pendingLines.size) this.#baseTotal = Number(this.refs.cartTotal?.dataset.total) || 0;
+
+    let pendingLine = this.#pendingLines.get(key);
+
+    if (!pendingLine) {
+      const baseQuantity = Number(row.dataset.quantity) || 0;
+
+      pendingLine = {
+        baseQuantity,
+        confirmedQuantity: baseQuantity,
+        quantity: baseQuantity,
+        unitPrice: Number(row.dataset.finalPrice) || 0,
+        priceHTML: this.#getLinePrice(row)?.innerHTML ?? '',
+        timeout: undefined,
+        isUpdating: false,
+      };
+      this.#pendingLines.set(key, pendingLine);
+    }
+
+    this.#hideLineError(row);
+    pendingLine.quantity = quantity;
+    this.#renderPendingLine(row, pendingLine);
+
+    clearTimeout(pendingLine.timeout);
+    pendingLine.timeout = setTimeout(() => this.#sendLineChange(key), LINE_CHANGE_DELAY);
+  }
+
+  /**
+   * Sends the quantity shown for a pending line, unless a request for it is still in flight.
+   * @param {string} key - The line item key.
+   */
+  #sendLineChange(key) {
+    const pendingLine = this.#pendingLines.get(key);
+    if (!pendingLine) return;
+
+    pendingLine.timeout = undefined;
+
+    // The change is sent when the request in flight finishes
+    if (pendingLine.isUpdating) return;
+
+    if (pendingLine.quantity === pendingLine.confirmedQuantity) {
+      this.#renderWhenSettled();
+      return;
+    }
+
+    const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker('change:user-action');
+    const { quantity } = pendingLine;
+
+    pendingLine.isUpdating = true;
+    this.#getRow(key)?.setAttribute('aria-busy', 'true');
+
+    cartStore
+      .change(
+        { id: key, quantity },
+        {
+          target: this,
+          sourceId: this.sectionId,
+          source: 'cart-items-component',
+          sections: Array.from(new Set([this.sectionId, ...getCartItemsSectionIds()])),
+          label: this.#getRow(key)?.dataset.title,
+        }
+      )
+      .then((updatedCart) => {
+        pendingLine.confirmedQuantity = quantity;
+        this.#pendingSections = updatedCart.sections ?? this.#pendingSections;
+        this.#updateQuantitySelectors(updatedCart);
+      })
+      .catch((error) => {
+        // The change is sent once the connection is back, so the quantity shown stays
+        if (error instanceof CartOfflineError) {
+          pendingLine.confirmedQuantity = quantity;
+          return;
+        }
+
+        if (!(error instanceof CartError)) console.error(error);
+
+        // Roll back to the last confirmed quantity, dropping changes made while the request was in flight
+        clearTimeout(pendingLine.timeout);
+        pendingLine.timeout = undefined;
+        pendingLine.quantity = pendingLine.confirmedQuantity;
+
+        const row = this.#getRow(key);
+        if (!row) return;
+
+        this.#renderPendingLine(row, pendingLine);
+
+        const message = error instanceof CartError && typeof error.errors === 'string' ? error.errors : error.message;
+        this.#lineErrors.set(key, message);
+        this.#showLineError(row, message);
+      })
+      .finally(() => {
+        pendingLine.isUpdating = false;
+        this.#getRow(key)?.removeAttribute('aria-busy');
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+
+        if (pendingLine.quantity !== pendingLine.confirmedQuantity && pendingLine.timeout === undefined) {
+          this.#sendLineChange(key);
+        } else {
+          this.#renderWhenSettled();
+        }
+      });
+  }
+
+  /**
+   * Shows the quantity, line price and total of a pending line.
+   * @param {HTMLTableRowElement} row - The line item row.
+   * @param {PendingLine} pendingLine - The pending line.
+   */
+  #renderPendingLine(row, pendingLine) {
+    const quantitySelector = /** @type {any} */ (row.querySelector('cart-quantity-selector-component'));
+
+    if (quantitySelector && Number(quantitySelector.getValue?.()) !== pendingLine.quantity) {
+      quantitySelector.setValue?.(String(pendingLine.quantity));
+      quantitySelector.updateButtonStates?.();
+    }
+
+    const linePrice = this.#getLinePrice(row);
+
+    if (linePrice) {
+      linePrice.innerHTML =
+        pendingLine.quantity === pendingLine.baseQuantity
+          ? pendingLine.priceHTML
+          : this.#formatPrice(pendingLine.unitPrice * pendingLine.quantity, linePrice);
+      linePrice.setAttribute('value', linePrice.textContent ?? '');
+    }
+
+    const { cartTotal } = this.refs;
+
+    if (cartTotal) {
+      let total = this.#baseTotal;
+
+      for (const { quantity, baseQuantity, unitPrice } of this.#pendingLines.values()) {
+        total += (quantity - baseQuantity) * unitPrice;
+      }
+
+      cartTotal.innerHTML = this.#formatPrice(total, cartTotal);
+      cartTotal.setAttribute('value', cartTotal.textContent ?? '');
+    }
+  }
+
+  /**
+   * Renders the latest sections once no line is pending anymore, so a response doesn't undo the quantities shown for
+   * lines that are still being changed.
+   */
+  #renderWhenSettled() {
+    for (const { isUpdating, timeout } of this.#pendingLines.values()) {
+      if (isUpdating || timeout !== undefined) return;
+    }
+
+    this.#pendingLines.clear();
+
+    const sectionHtml = this.#pendingSections?.[this.sectionId];
+    const isStale = this.#isStale;
+    this.#pendingSections = undefined;
+    this.#isStale = false;
+
+    if (sectionHtml) {
+      morphSection(this.sectionId, sectionHtml);
+    } else if (isStale) {
+      sectionRenderer.renderSection(this.sectionId, { cache: false });
+    }
+
+    this.#updateCartQuantitySelectorButtonStates();
+
+    for (const [key, message] of this.#lineErrors) {
+      const row = this.#getRow(key);
+
+      if (row) this.#showLineError(row, message);
+    }
+  }
+
+  /**
+   * @param {HTMLTableRowElement} row - The line item row.
+   * @param {string} message - The error message.
+   */
+  #showLineError(row, message) {
+    const line = this.refs.cartItemRows.indexOf(row) + 1;
+    const cartItemError = this.refs[`cartItemError-${line}`];
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+
+    if (!(cartItemError instanceof HTMLElement) || !(cartItemErrorContainer instanceof HTMLElement)) return;
+
+    cartItemError.textContent = message;
+    cartItemErrorContainer.classList.remove('hidden');
+  }
+
+  /**
+   * @param {HTMLTableRowElement} row - The line item row.
+   */
+  #hideLineError(row) {
+    const line = this.refs.cartItemRows.indexOf(row) + 1;
+    const cartItemErrorContainer = this.refs[`cartItemErrorContainer-${line}`];
+
+    if (row.dataset.key) this.#lineErrors.delete(row.dataset.key);
+    if (cartItemErrorContainer instanceof HTMLElement) cartItemErrorContainer.classList.add('hidden');
+  }
+
+  /**
+   * @param {string} key - The line item key.
+   * @returns {HTMLTableRowElement | undefined} The line item row.
+   */
+  #getRow(key) {
+    return this.refs.cartItemRows.find((row) => row.dataset.key === key);
+  }
+
+  /**
+   * @param {HTMLTableRowElement} row - The line item row.
+   * @returns {HTMLElement | null} The line price.
+   */
+  #getLinePrice(row) {
+    return row.querySelector('.cart-items__price text-component');
+  }
+
+  /**
+   * Formats a price like the element it's shown in.
+   * @param {number} cents - The price in cents.
+   * @param {HTMLElement} element - The element with the money format and currency.
+   * @returns {string} The HTML.
+   */
+  #formatPrice(cents, element) {
+    const moneyFormat = element.dataset.moneyFormat ?? '{{amount}}';
+    const currency = element.dataset.currency ?? '';
+
+    return vatDisplay.renderPrice(cents, (value) => formatCents(value, moneyFormat, currency));
   }
 
   /**
@@ -71,15 +363,127 @@ class CartItemsComponent extends Component {
    * @param {number} line - The line item index.
    */
   onLineItemRemove(line) {
-    this.updateQuantity({
+    const removedLine = this.#getRemovedLine(line);
+
+    this.#removeLine(line, 'clear').then((updatedCart) => {
+      // The toast is still undefined while its script loads, the line is removed without undo then
+      if (updatedCart && removedLine) this.refs.undoToast?.add?.(removedLine);
+    });
+  }
+
+  /**
+   * Moves a line out of the cart to the saved for later list.
+   * @param {number} line - The line item index.
+   */
+  saveForLater(line) {
+    const removedLine = this.#getRemovedLine(line);
+    const row = this.refs.cartItemRows[line - 1];
+    if (!removedLine || !row) return;
+
+    const savedLine = {
+      ...removedLine,
+      handle: row.dataset.handle ?? '',
+      url: row.dataset.url ?? '',
+      image: row.dataset.image || null,
+      price: Number(row.dataset.finalPrice) || 0,
+    };
+
+    this.#removeLine(line, 'save-for-later').then((updatedCart) => {
+      // A removal queued offline is sent once the connection is back, so the line is saved right away
+      if (updatedCart !== undefined) this.refs.savedForLater?.add?.(savedLine);
+    });
+  }
+
+  /**
+   * Changes the selling plan of a line, e.g. to another delivery frequency or to a one-time purchase.
+   * @param {number} line - The line item index.
+   * @param {Event} event - The change event of the selling plan select.
+   */
+  changeSellingPlan(line, event) {
+    const select = event.target;
+    const row = this.refs.cartItemRows[line - 1];
+    const key = row?.dataset.key;
+
+    if (!(select instanceof HTMLSelectElement) || !row || !key) return;
+
+    // The line key changes with the plan, so a quantity change in flight would fail after it
+    const pendingLine = this.#pendingLines.get(key);
+    if (pendingLine?.isUpdating) {
+      select.value = row.dataset.sellingPlan ?? '';
+      return;
+    }
+
+    // A quantity change that's still waiting is sent with the plan
+    if (pendingLine) {
+      clearTimeout(pendingLine.timeout);
+      this.#pendingLines.delete(key);
+    }
+
+    const quantity = pendingLine?.quantity ?? (Number(row.dataset.quantity) || 1);
+
+    this.#hideLineError(row);
+    this.#disableCartItems();
+    row.setAttribute('aria-busy', 'true');
+
+    cartStore
+      .change(
+        { id: key, quantity, selling_plan: select.value || null },
+        {
+          target: this,
+          sourceId: this.sectionId,
+          source: 'cart-items-component',
+          sections: Array.from(new Set([this.sectionId, ...getCartItemsSectionIds()])),
+          label: row.dataset.title,
+        }
+      )
+      .then((updatedCart) => {
+        this.#updateQuantitySelectors(updatedCart);
+
+        this.#pendingSections = updatedCart.sections;
+        this.#renderWhenSettled();
+      })
+      .catch((error) => {
+        if (error instanceof CartOfflineError) return;
+
+        if (!(error instanceof CartError)) console.error(error);
+
+        select.value = row.dataset.sellingPlan ?? '';
+
+        const message = error instanceof CartError && typeof error.errors === 'string' ? error.errors : error.message;
+        this.#lineErrors.set(key, message);
+        this.#showLineError(row, message);
+      })
+      .finally(() => {
+        row.removeAttribute('aria-busy');
+        this.#enableCartItems();
+      });
+  }
+
+  /**
+   * Removes a line and its nested lines, animating the rows out.
+   * @param {number} line - The line item index.
+   * @param {string} action - The action, for performance measurements.
+   * @returns {Promise<import('./cart').CartResponse | null | void>} The result of the update.
+   */
+  #removeLine(line, action) {
+    const key = this.refs.cartItemRows[line - 1]?.dataset.key;
+
+    // A change that's still waiting to be sent would fail once the line is gone
+    const pendingLine = key ? this.#pendingLines.get(key) : undefined;
+    if (key && pendingLine && !pendingLine.isUpdating) {
+      clearTimeout(pendingLine.timeout);
+      this.#pendingLines.delete(key);
+    }
+
+    const update = this.updateQuantity({
       line,
       quantity: 0,
-      action: 'clear',
+      action,
     });
 
     const cartItemRowToRemove = this.refs.cartItemRows[line - 1];
 
-    if (!cartItemRowToRemove) return;
+    if (!cartItemRowToRemove) return update;
 
     const rowsToRemove = [
       cartItemRowToRemove,
@@ -99,6 +503,8 @@ class CartItemsComponent extends Component {
       // Remove the row after the animation ends
       onAnimationEnd(row, remove);
     });
+
+    return update;
   }
 
   /**
@@ -107,6 +513,8 @@ class CartItemsComponent extends Component {
    * @param {number} config.line - The line.
    * @param {number} config.quantity - The quantity.
    * @param {string} config.action - The action.
+   * @returns {Promise<import('./cart').CartResponse | null | void>} The new cart, null if the update was queued
+   * offline, nothing if it failed.
    */
   updateQuantity(config) {
     const cartPerformaceUpdateMarker = cartPerformance.createStartingMarker(`${config.action}:user-action`);
@@ -115,71 +523,162 @@ class CartItemsComponent extends Component {
 
     const { line, quantity } = config;
     const { cartTotal } = this.refs;
+    const row = this.refs.cartItemRows[line - 1];
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    const sectionsToUpdate = new Set([this.sectionId]);
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        sectionsToUpdate.add(item.dataset.sectionId);
-      }
-    });
-
-    const body = JSON.stringify({
-      line: line,
-      quantity: quantity,
-      sections: Array.from(sectionsToUpdate).join(','),
-      sections_url: window.location.pathname,
-    });
+    const sectionsToUpdate = new Set([this.sectionId, ...getCartItemsSectionIds()]);
 
     cartTotal?.shimmer();
 
-    fetch(`${Theme.routes.cart_change_url}`, fetchConfig('json', { body }))
-      .then((response) => {
-        return response.text();
-      })
-      .then((responseText) => {
-        const parsedResponseText = JSON.parse(responseText);
+    return cartStore
+      .change(
+        // The key still points to the right line if the change is queued offline and other lines change meanwhile
+        row?.dataset.key ? { id: row.dataset.key, quantity } : { line, quantity },
+        {
+          target: this,
+          sourceId: this.sectionId,
+          source: 'cart-items-component',
+          sections: Array.from(sectionsToUpdate),
+          label: row?.dataset.title,
+        }
+      )
+      .then((updatedCart) => {
+        resetShimmer(this);
+
+        // Update data-cart-quantity for all matching variants
+        this.#updateQuantitySelectors(updatedCart);
+
+        this.#pendingSections = updatedCart.sections;
+        this.#renderWhenSettled();
 
+        return updatedCart;
+      })
+      .catch((error) => {
         resetShimmer(this);
 
-        if (parsedResponseText.errors) {
-          this.#handleCartError(line, parsedResponseText);
+        if (error instanceof CartError) {
+          this.#handleCartError(line, error);
           return;
         }
 
-        const newSectionHTML = new DOMParser().parseFromString(
-          parsedResponseText.sections[this.sectionId],
-          'text/html'
-        );
+        if (error instanceof CartOfflineError) return null;
 
-        // Grab the new cart item count from a hidden element
-        const newCartHiddenItemCount = newSectionHTML.querySelector('[ref="cartItemCount"]')?.textContent;
-        const newCartItemCount = newCartHiddenItemCount ? parseInt(newCartHiddenItemCount, 10) : 0;
+        console.error(error);
+      })
+      .finally(() => {
+        this.#enableCartItems();
+        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
+      });
+  }
 
-        // Update data-cart-quantity for all matching variants
-        this.#updateQuantitySelectors(parsedResponseText);
+  /**
+   * Adds back the lines removed since the undo toast was shown.
+   */
+  undoRemove() {
+    const lines = this.refs.undoToast?.takeLines() ?? [];
+    if (!lines.length) return;
 
-        this.dispatchEvent(
-          new CartUpdateEvent({}, this.sectionId, {
-            itemCount: newCartItemCount,
-            source: 'cart-items-component',
-            sections: parsedResponseText.sections,
-          })
-        );
+    const { cartTotal } = this.refs;
+    const sectionsToUpdate = new Set([this.sectionId, ...getCartItemsSectionIds()]);
+
+    this.#disableCartItems();
+    cartTotal?.shimmer();
+
+    const options = {
+      target: this,
+      sourceId: this.sectionId,
+      source: 'cart-items-component',
+      sections: Array.from(sectionsToUpdate),
+    };
+
+    cartStore
+      .add({ items: lines.map(toCartItem) }, { ...options, label: lines.map(({ title }) => title).join(', ') })
+      .catch((error) => {
+        // A line that sold out since fails the whole request, so the lines are added one by one to restore the rest
+        if (error instanceof CartError && lines.length > 1) return this.#addLinesOneByOne(lines, options);
 
-        morphSection(this.sectionId, parsedResponseText.sections[this.sectionId]);
+        throw error;
+      })
+      .then((updatedCart) => {
+        if (!updatedCart) {
+          sectionRenderer.renderSection(this.sectionId, { cache: false });
+          return;
+        }
+
+        this.#updateQuantitySelectors(updatedCart);
 
-        this.#updateCartQuantitySelectorButtonStates();
+        this.#pendingSections = updatedCart.sections;
+        this.#renderWhenSettled();
       })
       .catch((error) => {
-        console.error(error);
+        if (error instanceof CartOfflineError) return;
+
+        // The cart store already dispatched the error, e.g. when a line is no longer in stock
+        if (!(error instanceof CartError)) {
+          console.error(error);
+
+          // Nothing was added, so the lines can still be restored
+          for (const line of lines) this.refs.undoToast?.add(line);
+        }
+
+        sectionRenderer.renderSection(this.sectionId, { cache: false });
       })
       .finally(() => {
+        resetShimmer(this);
         this.#enableCartItems();
-        cartPerformance.measureFromMarker(cartPerformaceUpdateMarker);
       });
   }
 
+  /**
+   * Adds back removed lines one at a time, so the lines that can't be added don't keep the others out. Lines that fail
+   * for another reason than the cart, e.g. the connection, are put back into the undo toast.
+   * @param {RemovedLine[]} lines - The removed lines.
+   * @param {import('./cart').CartMutationOptions} options - The options of the add.
+   * @returns {Promise<import('./cart').CartResponse | null>} The cart after the last added line, or null.
+   */
+  async #addLinesOneByOne(lines, options) {
+    /** @type {import('./cart').CartResponse | null} */
+    let updatedCart = null;
+
+    for (const line of lines) {
+      try {
+        updatedCart = await cartStore.add({ items: [toCartItem(line)] }, { ...options, label: line.title });
+      } catch (error) {
+        // The line is queued, or the cart store already dispatched why it can't be added
+        if (error instanceof CartOfflineError || error instanceof CartError) continue;
+
+        console.error(error);
+        this.refs.undoToast?.add(line);
+      }
+    }
+
+    return updatedCart;
+  }
+
+  /**
+   * Gets what's needed to add a line back after removing it.
+   * @param {number} line - The line (1-based).
+   * @returns {RemovedLine | null} The line, null if it's a nested line that's removed with its parent.
+   */
+  #getRemovedLine(line) {
+    const row = this.refs.cartItemRows[line - 1];
+    if (!row || row.dataset.parentKey) return null;
+
+    let properties = null;
+    try {
+      properties = JSON.parse(row.dataset.properties || 'null');
+    } catch {
+      // Restore the line without its properties
+    }
+
+    return {
+      variantId: Number(row.dataset.variantId),
+      quantity: Number(row.dataset.quantity),
+      title: row.dataset.title ?? '',
+      properties: properties && Object.keys(properties).length ? properties : null,
+      sellingPlan: Number(row.dataset.sellingPlan) || null,
+    };
+  }
+
   /**
    * Handles the discount update.
    * @param {DiscountUpdateEvent} event - The event.
@@ -191,10 +690,9 @@ class CartItemsComponent extends Component {
   /**
    * Handles the cart error.
    * @param {number} line - The line.
-   * @param {Object} parsedResponseText - The parsed response text.
-   * @param {string} parsedResponseText.errors - The errors.
+   * @param {CartError} error - The cart error.
    */
-  #handleCartError = (line, parsedResponseText) => {
+  #handleCartError = (line, error) => {
     const quantitySelector = this.refs.quantitySelectors[line - 1];
     const quantityInput = quantitySelector?.querySelector('input');
 
@@ -208,7 +706,7 @@ class CartItemsComponent extends Component {
     if (!(cartItemError instanceof HTMLElement)) throw new Error('Cart item error not found');
     if (!(cartItemErrorContainer instanceof HTMLElement)) throw new Error('Cart item error container not found');
 
-    cartItemError.textContent = parsedResponseText.errors;
+    cartItemError.textContent = typeof error.errors === 'string' ? error.errors : error.message;
     cartItemErrorContainer.classList.remove('hidden');
   };
 
@@ -218,6 +716,12 @@ class CartItemsComponent extends Component {
    * @param {DiscountUpdateEvent | CartUpdateEvent | CartAddEvent} event
    */
   #handleCartUpdate = (event) => {
+    // Rendering now would undo the quantities shown for lines that are still being changed
+    if (event instanceof DiscountUpdateEvent && this.#pendingLines.size) {
+      this.#isStale = true;
+      return;
+    }
+
     if (event instanceof DiscountUpdateEvent) {
       sectionRenderer.renderSection(this.sectionId, { cache: false });
       return;
@@ -225,6 +729,16 @@ class CartItemsComponent extends Component {
     if (event.target === this) return;
 
     const cartItemsHtml = event.detail.data.sections?.[this.sectionId];
+
+    if (this.#pendingLines.size) {
+      if (cartItemsHtml) {
+        this.#pendingSections = event.detail.data.sections;
+      } else {
+        this.#isStale = true;
+      }
+      return;
+    }
+
     if (cartItemsHtml) {
       morphSection(this.sectionId, cartItemsHtml);
 
@@ -78,6 +78,33 @@ export class QuantitySelectorComponent extends Component {
    */
   setValue(value) {
     this.refs.quantityInput.value = value;
+    this.updatePriceTiers();
+  }
+
+  /**
+   * Gets the price tiers shown for this quantity selector, if it has any
+   * @returns {import('./price-tiers').PriceTiersComponent | null} The price tiers
+   */
+  get priceTiers() {
+    const id = this.dataset.priceTiersId;
+    if (!id) return null;
+
+    const root = this.closest('.shopify-section, dialog') ?? document;
+    const priceTiers = /** @type {import('./price-tiers').PriceTiersComponent | null} */ (
+      root.querySelector(`#${CSS.escape(id)}`)
+    );
+
+    // The price tiers script may not have loaded yet, the server rendered tiers are still correct then
+    return typeof priceTiers?.update === 'function' ? priceTiers : null;
+  }
+
+  /**
+   * Updates the price tiers with the current quantity, also while the quantity is being typed
+   */
+  updatePriceTiers() {
+    const { min, value } = this.getCurrentValues();
+
+    this.priceTiers?.update(Math.max(min, value));
   }
 
   /**
@@ -117,6 +144,7 @@ export class QuantitySelectorComponent extends Component {
     }
 
     this.updateButtonStates();
+    this.updatePriceTiers();
   }
 
   /**
@@ -254,6 +282,8 @@ export class QuantitySelectorComponent extends Component {
     const { quantityInput } = this.refs;
     const newValue = parseInt(quantityInput.value);
 
+    this.updatePriceTiers();
+
     quantityInput.dispatchEvent(new QuantitySelectorUpdateEvent(newValue, Number(quantityInput.dataset.cartLine)));
   }
 
@@ -274,6 +304,7 @@ export class QuantitySelectorComponent extends Component {
 
     if (clampedValue !== value) {
       quantityInput.value = clampedValue.toString();
+      this.updatePriceTiers();
     }
 
     this.updateButtonStates();
@@ -26,6 +26,18 @@ export class ThemeEvents {
   static discountUpdate = 'discount:update';
   /** @static @constant {string} Event triggered when changing collection filters */
   static FilterUpdate = 'filter:update';
+  /** @static @constant {string} Event triggered when prices switch between including and excluding VAT */
+  static vatDisplayChange = 'vat-display:change';
+  /** @static @constant {string} Event triggered when cart changes made offline are queued, sent or fail */
+  static cartQueueUpdate = 'cart-queue:update';
+  /** @static @constant {string} Event triggered when carts are saved, changed or switched to */
+  static savedCartsUpdate = 'saved-carts:update';
+  /** @static @constant {string} Event triggered when items are saved for later, moved to the cart or removed */
+  static savedForLaterUpdate = 'saved-for-later:update';
+  /** @static @constant {string} Event triggered when products are added to or removed from the comparison */
+  static compareUpdate = 'compare:update';
+  /** @static @constant {string} Event triggered when a selling plan, or a one-time purchase, is selected */
+  static sellingPlanUpdate = 'selling-plan:update';
 }
 
 /**
@@ -90,7 +102,7 @@ export class VariantUpdateEvent extends Event {
 export class CartAddEvent extends Event {
   /**
    * Creates a new CartAddEvent
-   * @param {Object} [resource] - The new cart object
+   * @param {Partial<import('./cart').Cart>} [resource] - The new cart object
    * @param {string} [sourceId] - The id of the element the action was triggered from
    * @param {Object} [data] - Additional event data
    * @param {boolean} [data.didError] - Whether the cart operation failed
@@ -98,6 +110,7 @@ export class CartAddEvent extends Event {
    * @param {string} [data.productId] - The id of the product card that was updated
    * @param {number} [data.itemCount] - The number of items in the cart
    * @param {string} [data.variantId] - The id of the product variant that was added
+   * @param {import('./cart').CartItem[]} [data.items] - The line items that were added, with the added quantities
    * @param {Record<string, string>} [data.sections] - The sections affected by the cart operation
    */
   constructor(resource, sourceId, data) {
@@ -121,7 +134,7 @@ export class CartAddEvent extends Event {
 export class CartUpdateEvent extends Event {
   /**
    * Creates a new CartUpdateEvent
-   * @param {Object} resource - The new cart object
+   * @param {Partial<import('./cart').Cart>} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
    * @param {Object} [data] - Additional event data
    * @param {boolean} [data.didError] - Whether the cart operation failed
@@ -194,7 +207,7 @@ export class QuantitySelectorUpdateEvent extends Event {
 export class DiscountUpdateEvent extends Event {
   /**
    * Creates a new DiscountUpdateEvent
-   * @param {Object} resource - The new cart object
+   * @param {Partial<import('./cart').Cart>} resource - The new cart object
    * @param {string} sourceId - The id of the element the action was triggered from
    */
   constructor(resource, sourceId) {
@@ -273,6 +286,116 @@ export class MegaMenuHoverEvent extends Event {
   }
 }
 
+/**
+ * Event class for switching prices between including and excluding VAT
+ * @extends {Event}
+ */
+export class VatDisplayChangeEvent extends Event {
+  /**
+   * Creates a new VatDisplayChangeEvent
+   * @param {'incl' | 'excl'} mode - Whether prices are now shown including or excluding VAT
+   */
+  constructor(mode) {
+    super(ThemeEvents.vatDisplayChange, { bubbles: true });
+    this.detail = {
+      mode,
+    };
+  }
+}
+
+/**
+ * Event class for changes to the queue of cart changes made offline
+ * @extends {Event}
+ */
+export class CartQueueUpdateEvent extends Event {
+  /**
+   * Creates a new CartQueueUpdateEvent
+   * @param {import('./cart').QueuedCartMutation[]} pending - The cart changes waiting for the connection
+   * @param {import('./cart').CartMutationConflict[]} conflicts - The cart changes that failed once they were sent
+   */
+  constructor(pending, conflicts) {
+    super(ThemeEvents.cartQueueUpdate, { bubbles: true });
+    this.detail = {
+      pending,
+      conflicts,
+    };
+  }
+}
+
+/**
+ * Event fired when a cart is saved, renamed, deleted, merged or switched to
+ * @extends {Event}
+ */
+export class SavedCartsUpdateEvent extends Event {
+  /**
+   * Creates a new SavedCartsUpdateEvent
+   * @param {import('./saved-carts').SavedCart[]} carts - The saved carts
+   * @param {string | null} activeId - The id of the saved cart that is the current cart
+   */
+  constructor(carts, activeId) {
+    super(ThemeEvents.savedCartsUpdate, { bubbles: true });
+    this.detail = {
+      carts,
+      activeId,
+    };
+  }
+}
+
+/**
+ * Event fired when the items saved for later change
+ * @extends {Event}
+ */
+export class SavedForLaterUpdateEvent extends Event {
+  /**
+   * Creates a new SavedForLaterUpdateEvent
+   * @param {import('./saved-for-later').SavedForLaterItem[]} items - The items saved for later
+   */
+  constructor(items) {
+    super(ThemeEvents.savedForLaterUpdate, { bubbles: true });
+    this.detail = {
+      items,
+    };
+  }
+}
+
+/**
+ * Event fired when the compared products change
+ * @extends {Event}
+ */
+export class CompareUpdateEvent extends Event {
+  /**
+   * Creates a new CompareUpdateEvent
+   * @param {import('./product-compare').CompareProduct[]} products - The compared products
+   */
+  constructor(products) {
+    super(ThemeEvents.compareUpdate, { bubbles: true });
+    this.detail = {
+      products,
+    };
+  }
+}
+
+/**
+ * Event fired when a selling plan, or a one-time purchase, is selected in the product form
+ * @extends {Event}
+ */
+export class SellingPlanUpdateEvent extends Event {
+  /**
+   * Creates a new SellingPlanUpdateEvent
+   * @param {string | null} sellingPlanId - The id of the selling plan, null for a one-time purchase
+   * @param {Object} data - Additional event data
+   * @param {string} data.productId - The product ID, used to ensure the correct price is updated
+   * @param {string | null} data.priceHTML - The price with the plan, null to show the price of the variant
+   */
+  constructor(sellingPlanId, data) {
+    super(ThemeEvents.sellingPlanUpdate, { bubbles: true });
+    this.detail = {
+      sellingPlanId,
+      data,
+    };
+  }
+}
+
 /** Event class for facet filtering updates */
 export class FilterUpdateEvent extends Event {
   /** @param {URLSearchParams} queryParams */
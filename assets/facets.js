@@ -1,7 +1,8 @@
 import { sectionRenderer } from '@theme/section-renderer';
 import { Component } from '@theme/component';
 import { FilterUpdateEvent, ThemeEvents } from '@theme/events';
-import { debounce, formatMoney, startViewTransition } from '@theme/utilities';
+import { debounce, formatCents, formatMoney, startViewTransition } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
 
 /**
  * Search query parameter.
@@ -32,6 +33,12 @@ class FacetsFormComponent extends Component {
     if (newParameters.get('filter.v.price.gte') === '') newParameters.delete('filter.v.price.gte');
     if (newParameters.get('filter.v.price.lte') === '') newParameters.delete('filter.v.price.lte');
 
+    // The price inputs are entered as shown, including or excluding VAT, but filter on the prices as set in the store
+    for (const param of ['filter.v.price.gte', 'filter.v.price.lte']) {
+      const value = newParameters.get(param);
+      if (value) newParameters.set(param, toDecimal(vatDisplay.fromDisplayPrice(toCents(value))));
+    }
+
     newParameters.delete('page');
 
     const searchQuery = this.#getSearchQuery();
@@ -219,13 +226,54 @@ class PriceFacetComponent extends Component {
   connectedCallback() {
     super.connectedCallback();
     this.addEventListener('keydown', this.#onKeyDown);
+    document.addEventListener(ThemeEvents.vatDisplayChange, this.#updateVatDisplay);
+    this.#updateVatDisplay();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+    this.#updateVatDisplay();
   }
 
   disconnectedCallback() {
     super.disconnectedCallback();
     this.removeEventListener('keydown', this.#onKeyDown);
+    document.removeEventListener(ThemeEvents.vatDisplayChange, this.#updateVatDisplay);
   }
 
+  /**
+   * Converts the input values and limits to the prices shown, including or excluding VAT.
+   * The values are rendered as set in the store, so this runs again whenever the inputs are re-rendered.
+   */
+  #updateVatDisplay = () => {
+    const { minInput, maxInput } = this.refs;
+    const currentMode = /** @type {import('@theme/vat-display').VatDisplayMode | undefined} */ (
+      this.dataset.vatDisplay
+    );
+    const mode = vatDisplay.mode;
+
+    if ((currentMode ?? vatDisplay.storeMode) === mode) return;
+
+    /** @param {string} value */
+    const convert = (value) => {
+      if (value.trim() === '') return value;
+
+      const cents = currentMode ? vatDisplay.fromDisplayPrice(toCents(value), currentMode) : toCents(value);
+      return toDecimal(vatDisplay.toDisplayPrice(cents, mode));
+    };
+
+    for (const input of [minInput, maxInput]) {
+      input.value = convert(input.value);
+      input.placeholder = convert(input.placeholder);
+
+      for (const attribute of ['data-min', 'data-max']) {
+        input.setAttribute(attribute, convert(input.getAttribute(attribute) ?? ''));
+      }
+    }
+
+    this.dataset.vatDisplay = mode;
+  };
+
   /**
    * Handles keydown events to restrict input to valid characters
    * @param {KeyboardEvent} event - The keydown event
@@ -750,9 +798,17 @@ class FacetStatusComponent extends Component {
       return;
     }
 
-    const minInputNum = this.#parseCents(minInputValue, '0');
-    const maxInputNum = this.#parseCents(maxInputValue, facetStatus.dataset.rangeMax);
-    facetStatus.innerHTML = `${this.#formatMoney(minInputNum)}–${this.#formatMoney(maxInputNum)}`;
+    // The inputs hold the prices as shown, the range max is as set in the store
+    const minInputNum = minInputValue ? vatDisplay.fromDisplayPrice(this.#parseCents(minInputValue)) : 0;
+    const maxInputNum = maxInputValue
+      ? vatDisplay.fromDisplayPrice(this.#parseCents(maxInputValue))
+      : this.#parseCents('', facetStatus.dataset.rangeMax);
+    const formatMoney = (/** @type {number} */ cents) => this.#formatMoney(cents);
+
+    facetStatus.innerHTML = `${vatDisplay.renderPrice(minInputNum, formatMoney)}–${vatDisplay.renderPrice(
+      maxInputNum,
+      formatMoney
+    )}`;
   }
 
   /**
@@ -786,64 +842,7 @@ class FacetStatusComponent extends Component {
     const template = this.refs.moneyFormat.content.textContent || '{{amount}}';
     const currency = this.refs.facetStatus.dataset.currency || '';
 
-    return template.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
-      if (typeof placeholder !== 'string') return '';
-      if (placeholder === 'currency') return currency;
-
-      let thousandsSeparator = ',';
-      let decimalSeparator = '.';
-      let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
-
-      if (placeholder === 'amount') {
-        // Check first since it's the most common, use defaults.
-      } else if (placeholder === 'amount_no_decimals') {
-        precision = 0;
-      } else if (placeholder === 'amount_with_comma_separator') {
-        thousandsSeparator = '.';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
-        // Weirdly, this is correct. It uses amount_with_comma_separator's
-        // behaviour but removes decimals, resulting in an unintuitive
-        // output that can't possibly include commas, despite the name.
-        thousandsSeparator = '.';
-        precision = 0;
-      } else if (placeholder === 'amount_no_decimals_with_space_separator') {
-        thousandsSeparator = ' ';
-        precision = 0;
-      } else if (placeholder === 'amount_with_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = ',';
-      } else if (placeholder === 'amount_with_period_and_space_separator') {
-        thousandsSeparator = ' ';
-        decimalSeparator = '.';
-      } else if (placeholder === 'amount_with_apostrophe_separator') {
-        thousandsSeparator = "'";
-        decimalSeparator = '.';
-      }
-
-      return this.#formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision);
-    });
-  }
-
-  /**
-   * Formats money in cents
-   * @param {number} moneyValue - The money value in cents (hundredths of one major currency unit)
-   * @param {string} thousandsSeparator - The thousands separator
-   * @param {string} decimalSeparator - The decimal separator
-   * @param {number} precision - The precision
-   * @returns {string} The formatted money value
-   */
-  #formatCents(moneyValue, thousandsSeparator, decimalSeparator, precision) {
-    const roundedNumber = (moneyValue / 100).toFixed(precision);
-
-    let [a, b] = roundedNumber.split('.');
-    if (!a) a = '0';
-    if (!b) b = '';
-
-    // Split by groups of 3 digits
-    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
-
-    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+    return formatCents(moneyValue, template, currency);
   }
 
   /**
@@ -859,54 +858,19 @@ if (!customElements.get('facet-status-component')) {
 }
 
 /**
- * Default currency decimals used in most currenies
- * @constant {number}
+ * Parses a price entered in a price input, e.g. `1.234,50`, as cents
+ * @param {string} value - The price
+ * @returns {number} The price in cents
  */
-const DEFAULT_CURRENCY_DECIMALS = 2;
+function toCents(value) {
+  return Math.round(Number(formatMoney(value.trim())) * 100) || 0;
+}
 
 /**
- * Decimal precision for currencies that have a non-default precision
- * @type {Record<string, number>}
+ * Formats cents as a decimal number for the price inputs and filter parameters
+ * @param {number} cents - The price in cents
+ * @returns {string} The decimal number, without trailing zero decimals
  */
-const CURRENCY_DECIMALS = {
-  BHD: 3,
-  BIF: 0,
-  BYR: 0,
-  CLF: 4,
-  CLP: 0,
-  DJF: 0,
-  GNF: 0,
-  IQD: 3,
-  ISK: 0,
-  JOD: 3,
-  JPY: 0,
-  KMF: 0,
-  KRW: 0,
-  KWD: 3,
-  LYD: 3,
-  MRO: 5,
-  OMR: 3,
-  PYG: 0,
-  RWF: 0,
-  TND: 3,
-  UGX: 0,
-  UYI: 0,
-  UYW: 4,
-  VND: 0,
-  VUV: 0,
-  XAF: 0,
-  XAG: 0,
-  XAU: 0,
-  XBA: 0,
-  XBB: 0,
-  XBC: 0,
-  XBD: 0,
-  XDR: 0,
-  XOF: 0,
-  XPD: 0,
-  XPF: 0,
-  XPT: 0,
-  XSU: 0,
-  XTS: 0,
-  XUA: 0,
-};
+function toDecimal(cents) {
+  return cents % 100 === 0 ? String(cents / 100) : (cents / 100).toFixed(2);
+}
@@ -0,0 +1,111 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, CartAddEvent } from '@theme/events';
+import { formatCents } from '@theme/utilities';
+
+/**
+ * A custom element that shows how far the cart total is from the free shipping threshold.
+ *
+ * The threshold is rendered in the store currency and converted with the active currency rate. The cart total is kept
+ * in the `data-total` attribute, which is updated from cart and discount events and by section re-renders. In other
+ * currencies than the store currency, the server renders `data-unconverted` and the amounts stay hidden until they're
+ * converted here.
+ *
+ * @typedef {object} FreeShippingProgressRefs
+ * @property {HTMLElement} message - The remaining amount or threshold reached message.
+ * @property {HTMLElement} bar - The progress bar.
+ *
+ * @extends {Component<FreeShippingProgressRefs>}
+ */
+class FreeShippingProgress extends Component {
+  requiredRefs = ['message', 'bar'];
+
+  static observedAttributes = ['data-total', 'data-unconverted'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  attributeChangedCallback() {
+    if (this.isConnected) this.#render();
+  }
+
+  /**
+   * The threshold in the active currency, in cents.
+   * @returns {number}
+   */
+  get threshold() {
+    const rate = Number(Shopify.currency.rate) || 1;
+
+    return Math.round(Number(this.dataset.threshold) * rate);
+  }
+
+  /**
+   * The cart total after discounts, in cents.
+   * @returns {number}
+   */
+  get total() {
+    return Number(this.dataset.total) || 0;
+  }
+
+  /**
+   * Updates the total from the cart in a cart or discount event.
+   * A discount can bring the total back below the threshold, so the total is always replaced, never accumulated.
+   * @param {CartAddEvent | import('@theme/events').DiscountUpdateEvent} event
+   */
+  #handleCartUpdate = (event) => {
+    const cart = event.detail.resource;
+    if (!cart || typeof cart.total_price !== 'number') return;
+
+    if (this.hasAttribute('data-reveal-on-add')) {
+      const didAdd = event instanceof CartAddEvent && !event.detail.data.didError;
+
+      if (didAdd && cart.item_count) this.hidden = false;
+      else if (!cart.item_count) this.hidden = true;
+    } else {
+      this.hidden = !cart.item_count;
+    }
+
+    this.dataset.total = String(cart.total_price);
+  };
+
+  #render() {
+    const { message, bar } = this.refs;
+    if (!message || !bar) return;
+
+    const { threshold, total } = this;
+    if (!threshold) return;
+
+    const remaining = Math.max(threshold - total, 0);
+    const progress = Math.min(total / threshold, 1);
+    const text =
+      remaining > 0
+        ? (this.dataset.remainingText ?? '').replace(
+            '{{ amount }}',
+            formatCents(remaining, this.dataset.moneyFormat ?? '', this.dataset.currency ?? '')
+          )
+        : (this.dataset.reachedText ?? '');
+
+    if (message.textContent !== text) message.textContent = text;
+
+    bar.style.setProperty('--free-shipping-progress', progress.toFixed(4));
+    bar.setAttribute('aria-valuenow', String(Math.round(progress * 100)));
+    bar.toggleAttribute('data-reached', remaining === 0);
+    this.removeAttribute('data-unconverted');
+  }
+}
+
+if (!customElements.get('free-shipping-progress')) {
+  customElements.define('free-shipping-progress', FreeShippingProgress);
+}
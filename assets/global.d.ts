@@ -12,6 +12,9 @@ declare global {
     shop: string;
     loadFeatures(features: ShopifyFeature[], callback?: LoadCallback): void;
     ModelViewerUI?: ModelViewer;
+    routes: {
+      root: string;
+    };
     visualPreviewMode: boolean;
   }
 
@@ -24,6 +27,7 @@ declare global {
     routes: {
       cart_add_url: string;
       cart_change_url: string;
+      cart_clear_url: string;
       cart_update_url: string;
       cart_url: string;
       predictive_search_url: string;
@@ -37,6 +41,14 @@ declare global {
     template: {
       name: string;
     };
+    vat: {
+      rate: number;
+      taxes_included: boolean;
+    };
+    punch_out: {
+      allowed_hosts: string;
+      supplier_id: string;
+    } | null;
   }
 
   interface Window {
@@ -0,0 +1,115 @@
+import { Component } from '@theme/component';
+import { formatCents } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+/**
+ * @typedef {object} PriceTier
+ * @property {number} minimum_quantity - The quantity from which the tier price applies.
+ * @property {number} price - The unit price in cents.
+ */
+
+/**
+ * A custom element that shows the volume pricing of a variant and highlights the tier of the selected quantity.
+ * Kept up to date by the quantity selector that references it with `data-price-tiers-id`.
+ *
+ * @typedef {object} PriceTiersRefs
+ * @property {HTMLTableRowElement[]} [rows] - The tier rows of the table.
+ * @property {HTMLElement} [unitPrice] - The unit price of the selected quantity.
+ * @property {HTMLElement} [total] - The total of the selected quantity.
+ * @property {HTMLElement} hint - The hint about the next tier.
+ *
+ * @extends {Component<PriceTiersRefs>}
+ */
+export class PriceTiersComponent extends Component {
+  requiredRefs = ['hint'];
+
+  /** @type {string | undefined} */
+  #tiersJSON;
+
+  /** @type {PriceTier[]} */
+  #tiers = [];
+
+  /**
+   * The tiers, ordered by minimum quantity.
+   * @returns {PriceTier[]}
+   */
+  get tiers() {
+    const json = this.dataset.tiers;
+
+    if (json !== this.#tiersJSON) {
+      this.#tiersJSON = json;
+
+      try {
+        this.#tiers = /** @type {PriceTier[]} */ (JSON.parse(json || '[]')).sort(
+          (a, b) => a.minimum_quantity - b.minimum_quantity
+        );
+      } catch {
+        this.#tiers = [];
+      }
+    }
+
+    return this.#tiers;
+  }
+
+  /**
+   * Updates the active tier, unit price, total and hint for a quantity.
+   * @param {number} quantity - The selected quantity.
+   */
+  update(quantity) {
+    const { rows = [], unitPrice, total, hint } = this.refs;
+    const tiers = this.tiers;
+    const basePrice = tiers[0]?.price;
+    if (basePrice === undefined) return;
+
+    let activeIndex = 0;
+    tiers.forEach((tier, index) => {
+      if (quantity >= tier.minimum_quantity) activeIndex = index;
+    });
+
+    const activeTier = tiers[activeIndex];
+    const nextTier = tiers[activeIndex + 1];
+
+    for (const row of rows) {
+      const isActive = Number(row.dataset.minimumQuantity) === activeTier?.minimum_quantity;
+
+      if (isActive) {
+        row.setAttribute('aria-current', 'true');
+      } else {
+        row.removeAttribute('aria-current');
+      }
+    }
+
+    if (unitPrice && activeTier) unitPrice.innerHTML = this.#renderPrice(activeTier.price);
+    if (total && activeTier) total.innerHTML = this.#renderPrice(activeTier.price * quantity);
+
+    let text = '';
+
+    if (nextTier) {
+      const saving = Math.round(((basePrice - nextTier.price) / basePrice) * 100);
+
+      text = (this.dataset.hintText ?? '')
+        .replace('{{ quantity }}', String(nextTier.minimum_quantity - quantity))
+        .replace('{{ percent }}', String(saving));
+    } else if (!this.classList.contains('price-tiers--compact')) {
+      text = this.dataset.bestPriceText ?? '';
+    }
+
+    if (hint.textContent !== text) hint.textContent = text;
+  }
+
+  /**
+   * Renders a price including and excluding VAT.
+   * @param {number} cents - The price in cents.
+   * @returns {string} The HTML.
+   */
+  #renderPrice(cents) {
+    const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+    const currency = this.dataset.currency ?? '';
+
+    return vatDisplay.renderPrice(cents, (value) => formatCents(value, moneyFormat, currency));
+  }
+}
+
+if (!customElements.get('price-tiers-component')) {
+  customElements.define('price-tiers-component', PriceTiersComponent);
+}
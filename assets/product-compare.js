@@ -0,0 +1,582 @@
+import { Component } from '@theme/component';
+import { DialogComponent } from '@theme/dialog';
+import { ThemeEvents, CompareUpdateEvent } from '@theme/events';
+import { cartStore, getCartItemsSectionIds, CartError, CartOfflineError } from '@theme/cart';
+import { fetchProduct } from '@theme/utilities';
+
+// The local storage key of the compared products
+const STORAGE_KEY = 'theme:product-compare';
+
+// The most products that can be compared at once
+const MAX_PRODUCTS = 4;
+
+// The section that renders a product for the comparison, see `section-rendering-product-compare.liquid`
+const SECTION_ID = 'section-rendering-product-compare';
+
+/**
+ * A product in the comparison tray.
+ *
+ * @typedef {object} CompareProduct
+ * @property {string} id - The product ID.
+ * @property {string} title - The product title.
+ * @property {string} url - The product URL.
+ * @property {string | null} image - The product image URL.
+ */
+
+/**
+ * A product as rendered for the comparison.
+ *
+ * @typedef {object} CompareProductData
+ * @property {number} id - The product ID.
+ * @property {string} title - The product title.
+ * @property {string} url - The product URL.
+ * @property {string | null} image - The product image URL.
+ * @property {string} vendor - The product vendor.
+ * @property {string} type - The product type.
+ * @property {string} price_html - The price, rendered like `vat-price.liquid`.
+ * @property {boolean} available - Whether any variant is available.
+ * @property {{ id: number, title: string, available: boolean, quantity: number }[]} variants - The variants, with the
+ * minimum quantity of their quantity rule.
+ * @property {{ key: string, label: string, value: string }[]} specs - The specifications from the product metafields.
+ */
+
+/**
+ * A row of the comparison table.
+ *
+ * @typedef {object} CompareRow
+ * @property {string} label - The attribute.
+ * @property {(string | null)[]} values - The value of each product, null if the product doesn't have the attribute.
+ * @property {boolean} [html] - Whether the values are HTML.
+ */
+
+/**
+ * A custom element that adds a product to or removes it from the comparison.
+ *
+ * The compared products are kept in the browser, so the toggle gets its state there when it's connected. Cards appended
+ * by the paginated list and cards re-rendered by filtering get the right state as well.
+ *
+ * @typedef {object} CompareToggleRefs
+ * @property {HTMLInputElement} checkbox - The checkbox.
+ *
+ * @extends {Component<CompareToggleRefs>}
+ */
+class CompareToggleComponent extends Component {
+  requiredRefs = ['checkbox'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    // The re-rendered checkbox has the state of the server
+    this.#render();
+  }
+
+  /**
+   * Adds the product to or removes it from the comparison.
+   */
+  toggle() {
+    const { productId = '', productTitle = '', productUrl = '', productImage } = this.dataset;
+
+    if (this.refs.checkbox.checked) {
+      addProduct({ id: productId, title: productTitle, url: productUrl, image: productImage || null });
+    } else {
+      removeProduct(productId);
+    }
+  }
+
+  #handleStorage = (/** @type {StorageEvent} */ event) => {
+    if (event.key === STORAGE_KEY) this.#render();
+  };
+
+  #render = () => {
+    const { checkbox } = this.refs;
+    const products = readProducts();
+    const selected = products.some(({ id }) => id === this.dataset.productId);
+    const full = !selected && products.length >= MAX_PRODUCTS;
+
+    checkbox.checked = selected;
+    checkbox.disabled = full;
+    this.title = full ? (this.dataset.limitText ?? '').replace('{{ max }}', String(MAX_PRODUCTS)) : '';
+  };
+}
+
+if (!customElements.get('compare-toggle-component')) {
+  customElements.define('compare-toggle-component', CompareToggleComponent);
+}
+
+/**
+ * A custom element that shows the compared products in a tray at the bottom of the page, and compares them side by
+ * side in a dialog. The rows of the comparison are aligned by attribute, the rows that differ are highlighted.
+ *
+ * @typedef {object} ProductCompareRefs
+ * @property {HTMLDialogElement} dialog - The comparison dialog.
+ * @property {HTMLElement} tray - The tray popover.
+ * @property {HTMLElement} heading - The heading of the tray.
+ * @property {HTMLUListElement} list - The products in the tray.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a product in the tray.
+ * @property {HTMLButtonElement} compareButton - The button that opens the comparison.
+ * @property {HTMLTableElement} table - The comparison table.
+ * @property {HTMLElement} message - The status message of the comparison.
+ * @property {HTMLInputElement} differencesToggle - The checkbox that shows only the rows that differ.
+ *
+ * @extends {DialogComponent}
+ */
+class ProductCompareComponent extends DialogComponent {
+  requiredRefs = [
+    'dialog',
+    'tray',
+    'heading',
+    'list',
+    'itemTemplate',
+    'compareButton',
+    'table',
+    'message',
+    'differencesToggle',
+  ];
+
+  /**
+   * The products shown in the comparison.
+   * @type {CompareProductData[]}
+   */
+  #products = [];
+
+  get #refs() {
+    return /** @type {ProductCompareRefs} */ (/** @type {unknown} */ (this.refs));
+  }
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.compareUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Loads the compared products and shows them side by side.
+   */
+  async compare() {
+    const { message } = this.#refs;
+    const products = readProducts();
+    if (!products.length) return;
+
+    this.showDialog();
+    this.setAttribute('aria-busy', 'true');
+    message.textContent = '';
+
+    try {
+      const data = await Promise.all(products.map(({ url }) => fetchCompareProduct(url)));
+
+      // Deleted products are left out
+      this.#products = data.filter((product) => product !== null);
+      this.#renderTable();
+    } catch (error) {
+      console.error(error);
+      message.textContent = this.dataset.errorText ?? '';
+    } finally {
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Removes the product of the event target from the comparison.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  removeProduct(event) {
+    const id = this.#getProductElement(event.target)?.dataset.productId;
+    if (id) removeProduct(id);
+  }
+
+  /**
+   * Removes all products from the comparison.
+   */
+  clear() {
+    updateProducts([]);
+  }
+
+  /**
+   * Shows only the rows in which the products differ, or all rows.
+   */
+  toggleDifferences() {
+    const { table, differencesToggle } = this.#refs;
+
+    table.classList.toggle('product-compare__table--differences', differencesToggle.checked);
+  }
+
+  /**
+   * Adds the chosen variant of the product of the event target to the cart, in the minimum quantity of its quantity
+   * rule.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  async addToCart(event) {
+    const element = this.#getProductElement(event.target);
+    const product = this.#products.find(({ id }) => String(id) === element?.dataset.productId);
+    if (!element || !product) return;
+
+    const select = element.querySelector('select');
+    const variant = select
+      ? product.variants.find(({ id }) => String(id) === select.value)
+      : product.variants.find(({ available }) => available);
+    if (!variant) return;
+
+    const button = event.target instanceof HTMLButtonElement ? event.target : null;
+
+    if (button) button.disabled = true;
+    element.setAttribute('aria-busy', 'true');
+    this.#showStatus(element, '');
+
+    try {
+      await cartStore.add(
+        { items: [{ id: variant.id, quantity: variant.quantity }] },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'product-compare-component',
+          productId: String(product.id),
+          variantId: String(variant.id),
+          sections: getCartItemsSectionIds(),
+          label: product.title,
+        }
+      );
+
+      this.#showStatus(element, this.dataset.addedText ?? '');
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#showStatus(element, error.message, true);
+      } else if (error instanceof CartOfflineError) {
+        // The product is added once the connection is back
+        this.#showStatus(element, this.dataset.offlineText ?? '');
+      } else {
+        console.error(error);
+      }
+    } finally {
+      if (button) button.disabled = false;
+      element.removeAttribute('aria-busy');
+    }
+  }
+
+  #handleStorage = (/** @type {StorageEvent} */ event) => {
+    if (event.key === STORAGE_KEY) this.#render();
+  };
+
+  #render = () => {
+    const { tray, heading, list, itemTemplate, compareButton, dialog } = this.#refs;
+    const products = readProducts();
+
+    list.replaceChildren(
+      ...products.map((product) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+        element.dataset.productId = product.id;
+
+        const image = element.querySelector('[data-image]');
+        if (image instanceof HTMLImageElement) {
+          image.hidden = !product.image;
+          if (product.image) image.src = product.image;
+        }
+
+        const title = element.querySelector('[data-title]');
+        if (title instanceof HTMLAnchorElement) {
+          title.href = product.url;
+          title.textContent = product.title;
+        }
+
+        element
+          .querySelector('[data-remove]')
+          ?.setAttribute('aria-label', (this.dataset.removeText ?? '').replace('{{ title }}', product.title));
+
+        return element;
+      })
+    );
+
+    heading.textContent = (this.dataset.headingText ?? '')
+      .replace('{{ count }}', String(products.length))
+      .replace('{{ max }}', String(MAX_PRODUCTS));
+    compareButton.disabled = products.length < 2;
+
+    const open = tray.matches(':popover-open');
+    if (products.length && !open) tray.showPopover();
+    if (!products.length && open) tray.hidePopover();
+
+    // Products removed while comparing are taken out of the comparison
+    if (dialog.open) {
+      const ids = new Set(products.map(({ id }) => id));
+      this.#products = this.#products.filter(({ id }) => ids.has(String(id)));
+
+      if (this.#products.length) {
+        this.#renderTable();
+      } else {
+        this.closeDialog();
+      }
+    }
+  };
+
+  #renderTable() {
+    const { table } = this.#refs;
+    const products = this.#products;
+
+    /** @type {CompareRow[]} */
+    const rows = [
+      { label: this.dataset.priceText ?? '', values: products.map(({ price_html }) => price_html), html: true },
+      { label: this.dataset.vendorText ?? '', values: products.map(({ vendor }) => vendor || null) },
+      { label: this.dataset.typeText ?? '', values: products.map(({ type }) => type || null) },
+      {
+        label: this.dataset.availabilityText ?? '',
+        values: products.map(
+          ({ available }) => (available ? this.dataset.inStockText : this.dataset.soldOutText) ?? ''
+        ),
+      },
+    ];
+
+    // The specifications are aligned by key, in the order they first appear
+    /** @type {Map<string, CompareRow>} */
+    const specs = new Map();
+    products.forEach((product, index) => {
+      for (const { key, label, value } of product.specs) {
+        let row = specs.get(key);
+        if (!row) {
+          row = { label, values: products.map(() => null) };
+          specs.set(key, row);
+        }
+
+        row.values[index] = value;
+      }
+    });
+    rows.push(...specs.values());
+
+    const head = document.createElement('thead');
+    const headRow = head.insertRow();
+    headRow.append(document.createElement('td'), ...products.map((product) => this.#renderProductHeader(product)));
+
+    const body = document.createElement('tbody');
+    for (const { label, values, html } of rows) {
+      if (values.every((value) => !value)) continue;
+
+      const row = body.insertRow();
+      const different = new Set(values.map((value) => value ?? '')).size > 1;
+      row.className = `product-compare__row product-compare__row--${different ? 'different' : 'same'}`;
+
+      const header = document.createElement('th');
+      header.scope = 'row';
+      header.textContent = label;
+      row.append(header);
+
+      for (const value of values) {
+        const cell = row.insertCell();
+
+        if (html && value) {
+          cell.innerHTML = value;
+        } else {
+          cell.textContent = value || '–';
+        }
+      }
+    }
+
+    const cartRow = body.insertRow();
+    cartRow.className = 'product-compare__row';
+    const cartHeader = document.createElement('th');
+    cartHeader.scope = 'row';
+    cartRow.append(cartHeader, ...products.map((product) => this.#renderCartCell(product)));
+
+    table.replaceChildren(head, body);
+  }
+
+  /**
+   * @param {CompareProductData} product - The product.
+   * @returns {HTMLTableCellElement} The column header of the product.
+   */
+  #renderProductHeader(product) {
+    const header = document.createElement('th');
+    header.scope = 'col';
+    header.dataset.productId = String(product.id);
+
+    const content = document.createElement('div');
+    content.className = 'product-compare__product';
+
+    if (product.image) {
+      const image = document.createElement('img');
+      image.className = 'product-compare__image';
+      image.src = product.image;
+      image.alt = '';
+      image.width = 150;
+      image.height = 150;
+      image.loading = 'lazy';
+      content.append(image);
+    }
+
+    const link = document.createElement('a');
+    link.className = 'product-compare__title';
+    link.href = product.url;
+    link.textContent = product.title;
+
+    const removeButton = document.createElement('button');
+    removeButton.type = 'button';
+    removeButton.className = 'button button-unstyled product-compare__remove-link';
+    removeButton.setAttribute('on:click', '/removeProduct');
+    removeButton.textContent = this.dataset.removeButtonText ?? '';
+    removeButton.setAttribute('aria-label', (this.dataset.removeText ?? '').replace('{{ title }}', product.title));
+
+    content.append(link, removeButton);
+    header.append(content);
+
+    return header;
+  }
+
+  /**
+   * @param {CompareProductData} product - The product.
+   * @returns {HTMLTableCellElement} The cell with the add to cart button of the product.
+   */
+  #renderCartCell(product) {
+    const cell = document.createElement('td');
+    cell.dataset.productId = String(product.id);
+    cell.className = 'product-compare__cart';
+
+    const variants = product.variants.filter(({ available }) => available);
+
+    if (variants.length > 1) {
+      const select = document.createElement('select');
+      select.className = 'product-compare__variant';
+      select.setAttribute('aria-label', `${this.dataset.variantText ?? ''}: ${product.title}`);
+      select.append(...variants.map(({ id, title }) => new Option(title, String(id))));
+      cell.append(select);
+    }
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'button product-compare__add';
+    button.setAttribute('on:click', '/addToCart');
+    button.disabled = !variants.length;
+    button.textContent = (variants.length ? this.dataset.addText : this.dataset.soldOutText) ?? '';
+
+    const status = document.createElement('p');
+    status.className = 'product-compare__cart-status';
+    status.setAttribute('role', 'status');
+    status.dataset.status = '';
+
+    cell.append(button, status);
+
+    return cell;
+  }
+
+  /**
+   * @param {HTMLElement} element - The element of a product.
+   * @param {string} message - The message, empty to hide it.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #showStatus(element, message, isError = false) {
+    const status = element.querySelector('[data-status]');
+    if (!status) return;
+
+    status.textContent = message;
+    status.classList.toggle('product-compare__cart-status--error', isError);
+  }
+
+  /**
+   * @param {Element} element - An element of a product in the tray or the comparison.
+   * @returns {HTMLElement | null} The element of the product.
+   */
+  #getProductElement(element) {
+    const product = element.closest('[data-product-id]');
+
+    return product instanceof HTMLElement ? product : null;
+  }
+}
+
+/**
+ * Fetches a product as rendered for the comparison.
+ * @param {string} url - The product URL.
+ * @returns {Promise<CompareProductData | null>} The product, null if it doesn't exist anymore.
+ */
+async function fetchCompareProduct(url) {
+  // The handle is the last part of the product URL
+  const handle = decodeURIComponent(new URL(url, window.location.origin).pathname.split('/').pop() ?? '');
+
+  /** @type {string | null} */
+  const html = await fetchProduct(handle, SECTION_ID);
+  if (html === null) return null;
+
+  const script = new DOMParser().parseFromString(html, 'text/html').querySelector('[data-product-compare]');
+
+  return script ? JSON.parse(script.textContent ?? '') : null;
+}
+
+/**
+ * Adds a product to the comparison, unless it's full.
+ * @param {CompareProduct} product - The product.
+ */
+function addProduct(product) {
+  const products = readProducts().filter(({ id }) => id !== product.id);
+  if (products.length >= MAX_PRODUCTS) return;
+
+  updateProducts([...products, product]);
+}
+
+/**
+ * @param {string} id - The product ID.
+ */
+function removeProduct(id) {
+  updateProducts(readProducts().filter((product) => product.id !== id));
+}
+
+/**
+ * Stores the products and tells the toggles and the tray on the page.
+ * @param {CompareProduct[]} products - The products.
+ */
+function updateProducts(products) {
+  writeProducts(products);
+  document.dispatchEvent(new CompareUpdateEvent(products));
+}
+
+/**
+ * @returns {CompareProduct[]} The compared products, in the order they were added.
+ */
+function readProducts() {
+  try {
+    const products = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(products) ? products.slice(0, MAX_PRODUCTS) : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {CompareProduct[]} products - The compared products.
+ */
+function writeProducts(products) {
+  try {
+    if (products.length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(products));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save the compared products:', error);
+  }
+}
+
+if (!customElements.get('product-compare-component')) {
+  customElements.define('product-compare-component', ProductCompareComponent);
+}
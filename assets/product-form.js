@@ -1,19 +1,38 @@
 import { Component } from '@theme/component';
-import { fetchConfig, onAnimationEnd, preloadImage } from '@theme/utilities';
-import { ThemeEvents, CartAddEvent, CartErrorEvent, CartUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { onAnimationEnd, preloadImage } from '@theme/utilities';
+import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { cartStore, getCartItemsSectionIds, CartError, CartOfflineError } from '@theme/cart';
 import { cartPerformance } from '@theme/performance';
 import { morph } from '@theme/morph';
 
 export const ADD_TO_CART_TEXT_ANIMATION_DURATION = 2000;
 
 // Error message display duration - gives users time to read the message
-const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
+export const ERROR_MESSAGE_DISPLAY_DURATION = 10000;
 
 // Button re-enable delay after error - prevents rapid repeat attempts
 const ERROR_BUTTON_REENABLE_DELAY = 1000;
 
 // Success message display duration for screen readers
-const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
+export const SUCCESS_MESSAGE_DISPLAY_DURATION = 5000;
+
+/**
+ * Shows a message in an add to cart error element.
+ * The element holds the error icon, the message is the text node that follows it.
+ * @param {HTMLElement} errorElement - The add to cart error element.
+ * @param {string} message - The message to show.
+ */
+export function showAddToCartError(errorElement, message) {
+  errorElement.classList.remove('hidden');
+
+  // Reuse the text node if the user is spam-clicking
+  const textNode = errorElement.childNodes[2];
+  if (textNode) {
+    textNode.textContent = message;
+  } else {
+    errorElement.appendChild(document.createTextNode(message));
+  }
+}
 
 /**
  * A custom element that manages an add to cart button.
@@ -169,8 +188,8 @@ class ProductFormComponent extends Component {
     target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
     target?.addEventListener(ThemeEvents.variantSelected, this.#onVariantSelected, { signal });
 
-    // Listen for cart updates to sync data-cart-quantity
-    document.addEventListener(ThemeEvents.cartUpdate, this.#onCartUpdate, { signal });
+    // Sync data-cart-quantity whenever the cart changes
+    signal.addEventListener('abort', cartStore.subscribe(this.#onCartChange));
   }
 
   disconnectedCallback() {
@@ -180,48 +199,47 @@ class ProductFormComponent extends Component {
   }
 
   /**
-   * Fetches cart and updates quantity selector for current variant
+   * Loads the cart, if it hasn't been loaded yet, and updates the quantity selector for the current variant
    * @returns {Promise<number>} The cart quantity for the current variant
    */
-  async #fetchAndUpdateCartQuantity() {
-    const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
-    if (!variantIdInput?.value) return 0;
-
+  async #loadAndUpdateCartQuantity() {
     try {
-      const response = await fetch('/cart.js');
-      const cart = await response.json();
-
-      const cartItem = cart.items.find(
-        /** @param {any} item */
-        (item) => item.variant_id.toString() === variantIdInput.value.toString()
-      );
-      const cartQty = cartItem ? cartItem.quantity : 0;
-
-      // Use public API to update quantity selector
-      const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
-      if (quantitySelector?.setCartQuantity) {
-        quantitySelector.setCartQuantity(cartQty);
-      }
-
-      // Update quantity label if it exists
-      this.#updateQuantityLabel(cartQty);
-
-      return cartQty;
+      await cartStore.get();
     } catch (error) {
       console.error('Failed to fetch cart quantity:', error);
       return 0;
     }
+
+    return this.#updateCartQuantity();
   }
 
   /**
-   * Updates data-cart-quantity when cart is updated from elsewhere
-   * @param {CartUpdateEvent|CartAddEvent} event
+   * Updates the quantity selector and label with the cart quantity of the current variant
+   * @returns {number} The cart quantity for the current variant
    */
-  #onCartUpdate = async (event) => {
-    // Skip if this event came from this component
-    if (event.detail?.sourceId === this.id || event.detail?.data?.source === 'product-form-component') return;
+  #updateCartQuantity() {
+    const variantIdInput = /** @type {HTMLInputElement | null} */ (this.querySelector('input[name="id"]'));
+    if (!variantIdInput?.value) return 0;
+
+    const cartQty = cartStore.getVariantQuantity(variantIdInput.value);
+
+    // Use public API to update quantity selector
+    const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
+    if (quantitySelector?.setCartQuantity) {
+      quantitySelector.setCartQuantity(cartQty);
+    }
+
+    // Update quantity label if it exists
+    this.#updateQuantityLabel(cartQty);
+
+    return cartQty;
+  }
 
-    await this.#fetchAndUpdateCartQuantity();
+  /**
+   * Updates data-cart-quantity when the cart changes, wherever the change came from
+   */
+  #onCartChange = () => {
+    this.#updateCartQuantity();
   };
 
   /**
@@ -244,143 +262,94 @@ class ProductFormComponent extends Component {
 
     if (!form) throw new Error('Product form element missing');
 
-    const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
-    if (quantitySelector?.canAddToCart) {
-      const validation = quantitySelector.canAddToCart();
+    const formData = new FormData(form);
+    const variantMatrix = this.#variantMatrix;
 
-      if (!validation.canAdd) {
-        addToCartButtonContainer?.disable();
+    /** @type {FormData | { items: { id: number, quantity: number, properties?: Record<string, string> }[] }} */
+    let body = formData;
 
-        const errorTemplate = this.dataset.quantityErrorMax || '';
-        const errorMessage = errorTemplate.replace('{{ maximum }}', validation.maxQuantity.toString());
-        if (addToCartTextError) {
-          addToCartTextError.classList.remove('hidden');
-
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = errorMessage;
-          } else {
-            const newTextNode = document.createTextNode(errorMessage);
-            addToCartTextError.appendChild(newTextNode);
-          }
-
-          this.#setLiveRegionText(errorMessage);
-
-          if (this.#timeout) clearTimeout(this.#timeout);
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
-            this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-        }
+    if (variantMatrix) {
+      // Every variant with a quantity in the matrix is added in a single request
+      if (!variantMatrix.reportValidity()) return;
 
-        setTimeout(() => {
-          addToCartButtonContainer?.enable();
-        }, ERROR_BUTTON_REENABLE_DELAY);
+      const validation = variantMatrix.getExceededQuantity();
+      if (validation) {
+        this.#showQuantityMaxError(validation.maxQuantity ?? 0);
+        return;
+      }
 
+      const items = variantMatrix.getItems();
+      if (!items.length) {
+        this.#showAddToCartError(this.dataset.variantMatrixEmptyText ?? '');
         return;
       }
-    }
 
-    const formData = new FormData(form);
+      // Line item properties of the form, e.g. custom properties, apply to every variant
+      /** @type {Record<string, string>} */
+      const properties = {};
+      for (const [name, value] of formData) {
+        const property = name.match(/^properties\[(.+)\]$/)?.[1];
+        if (property && typeof value === 'string' && value) properties[property] = value;
+      }
 
-    const cartItemsComponents = document.querySelectorAll('cart-items-component');
-    let cartItemComponentsSectionIds = [];
-    cartItemsComponents.forEach((item) => {
-      if (item instanceof HTMLElement && item.dataset.sectionId) {
-        cartItemComponentsSectionIds.push(item.dataset.sectionId);
+      body = {
+        items: Object.keys(properties).length ? items.map((item) => ({ ...item, properties })) : items,
+      };
+    } else {
+      const quantitySelector = /** @type {any} */ (this.querySelector('quantity-selector-component'));
+      if (quantitySelector?.canAddToCart) {
+        const validation = quantitySelector.canAddToCart();
+
+        if (!validation.canAdd) {
+          this.#showQuantityMaxError(validation.maxQuantity);
+          return;
+        }
       }
-      formData.append('sections', cartItemComponentsSectionIds.join(','));
-    });
-
-    const fetchCfg = fetchConfig('javascript', { body: formData });
-
-    fetch(Theme.routes.cart_add_url, {
-      ...fetchCfg,
-      headers: {
-        ...fetchCfg.headers,
-        Accept: 'text/html',
-      },
-    })
-      .then((response) => response.json())
-      .then((response) => {
-        if (response.status) {
-          this.dispatchEvent(
-            new CartErrorEvent(form.getAttribute('id') || '', response.message, response.description, response.errors)
-          );
+    }
 
-          if (!addToCartTextError) return;
-          addToCartTextError.classList.remove('hidden');
+    cartStore
+      .add(body, {
+        target: this,
+        sourceId: this.id,
+        source: 'product-form-component',
+        productId: this.dataset.productId,
+        variantId: variantMatrix ? undefined : formData.get('id')?.toString(),
+        sections: getCartItemsSectionIds(),
+        label: this.dataset.productTitle,
+      })
+      .then(() => {
+        variantMatrix?.reset();
 
-          // Reuse the text node if the user is spam-clicking
-          const textNode = addToCartTextError.childNodes[2];
-          if (textNode) {
-            textNode.textContent = response.message;
-          } else {
-            const newTextNode = document.createTextNode(response.message);
-            addToCartTextError.appendChild(newTextNode);
-          }
+        if (addToCartTextError) {
+          addToCartTextError.classList.add('hidden');
+          addToCartTextError.removeAttribute('aria-live');
+        }
 
-          // Create or get existing error live region for screen readers
-          this.#setLiveRegionText(response.message);
+        // Add aria-live region to inform screen readers that the item was added
+        if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
+          const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
+          const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
+          const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
 
-          this.#timeout = setTimeout(() => {
-            if (!addToCartTextError) return;
-            addToCartTextError.classList.add('hidden');
+          this.#setLiveRegionText(addedText);
 
-            // Clear the announcement
+          setTimeout(() => {
             this.#clearLiveRegionText();
-          }, ERROR_MESSAGE_DISPLAY_DURATION);
-
-          // When we add more than the maximum amount of items to the cart, we need to dispatch a cart update event
-          // because our back-end still adds the max allowed amount to the cart.
-          this.dispatchEvent(
-            new CartAddEvent({}, this.id, {
-              didError: true,
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-            })
-          );
-
-          return;
-        } else {
-          const id = formData.get('id');
-
-          if (addToCartTextError) {
-            addToCartTextError.classList.add('hidden');
-            addToCartTextError.removeAttribute('aria-live');
-          }
-
-          if (!id) throw new Error('Form ID is required');
-
-          // Add aria-live region to inform screen readers that the item was added
-          if (this.refs.addToCartButtonContainer?.refs.addToCartButton) {
-            const addToCartButton = this.refs.addToCartButtonContainer.refs.addToCartButton;
-            const addedTextElement = addToCartButton.querySelector('.add-to-cart-text--added');
-            const addedText = addedTextElement?.textContent?.trim() || Theme.translations.added;
-
-            this.#setLiveRegionText(addedText);
-
-            setTimeout(() => {
-              this.#clearLiveRegionText();
-            }, SUCCESS_MESSAGE_DISPLAY_DURATION);
-          }
-
-          // Fetch the updated cart to get the actual total quantity for this variant
-          this.#fetchAndUpdateCartQuantity();
-
-          this.dispatchEvent(
-            new CartAddEvent({}, id.toString(), {
-              source: 'product-form-component',
-              itemCount: Number(formData.get('quantity')) || Number(this.dataset.quantityDefault),
-              productId: this.dataset.productId,
-              sections: response.sections,
-            })
-          );
+          }, SUCCESS_MESSAGE_DISPLAY_DURATION);
         }
       })
       .catch((error) => {
+        if (error instanceof CartError) {
+          if (addToCartTextError) this.#showAddToCartError(error.title);
+          return;
+        }
+
+        // The product is added once the connection is back, the cart drawer shows it as pending meanwhile
+        if (error instanceof CartOfflineError) {
+          this.#showAddToCartError(this.dataset.offlineText ?? '');
+          return;
+        }
+
         console.error(error);
       })
       .finally(() => {
@@ -388,6 +357,38 @@ class ProductFormComponent extends Component {
       });
   }
 
+  /**
+   * Gets the variant matrix of the product, if the variant picker is shown as one
+   * @returns {import('./variant-matrix').VariantMatrixComponent | null} The variant matrix
+   */
+  get #variantMatrix() {
+    const root = this.closest('.shopify-section, dialog') ?? document;
+    const variantMatrix = /** @type {import('./variant-matrix').VariantMatrixComponent | null} */ (
+      root.querySelector(`variant-matrix-component[data-product-id="${this.dataset.productId}"]`)
+    );
+
+    // The variant matrix script may not have loaded yet
+    return typeof variantMatrix?.getItems === 'function' ? variantMatrix : null;
+  }
+
+  /**
+   * Shows that the quantity can't be added because of the maximum of the quantity rule, and blocks adding for a moment
+   * @param {number} maxQuantity - The maximum quantity
+   */
+  #showQuantityMaxError(maxQuantity) {
+    const { addToCartButtonContainer } = this.refs;
+
+    addToCartButtonContainer?.disable();
+
+    const errorTemplate = this.dataset.quantityErrorMax || '';
+    const errorMessage = errorTemplate.replace('{{ maximum }}', maxQuantity.toString());
+    this.#showAddToCartError(errorMessage);
+
+    setTimeout(() => {
+      addToCartButtonContainer?.enable();
+    }, ERROR_BUTTON_REENABLE_DELAY);
+  }
+
   /**
    * Updates the quantity label with the current cart quantity
    * @param {number} cartQty - The quantity in cart
@@ -405,6 +406,26 @@ class ProductFormComponent extends Component {
     }
   }
 
+  /**
+   * Shows an error message below the buttons and announces it to screen readers.
+   * @param {string} message - The error message.
+   */
+  #showAddToCartError(message) {
+    const { addToCartTextError } = this.refs;
+    if (!addToCartTextError) return;
+
+    showAddToCartError(addToCartTextError, message);
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => {
+      addToCartTextError.classList.add('hidden');
+
+      // Clear the announcement
+      this.#clearLiveRegionText();
+    }, ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
   /**
    * @param {*} text
    */
@@ -537,10 +558,17 @@ class ProductFormComponent extends Component {
 
       const addToCartButton = this.querySelector('[ref="addToCartButtonContainer"]');
       this.#morphOrUpdateElement(quantityRules, newQuantityRules, addToCartButton);
+
+      // Price tiers are rendered for the new variant with its minimum quantity, so update them to the selected one
+      const priceTiers = this.querySelector('price-tiers-component');
+      const newPriceTiers = event.detail.data.html.querySelector('price-tiers-component');
+      this.#morphOrUpdateElement(priceTiers, newPriceTiers, this.refs.addToCartTextError ?? addToCartButton);
     }
 
-    // Fetch and update cart quantity for the new variant
-    await this.#fetchAndUpdateCartQuantity();
+    /** @type {any} */ (this.querySelector('quantity-selector-component'))?.updatePriceTiers?.();
+
+    // Update cart quantity for the new variant
+    await this.#loadAndUpdateCartQuantity();
   };
 
   /**
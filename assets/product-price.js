@@ -1,4 +1,4 @@
-import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
+import { ThemeEvents, VariantUpdateEvent, SellingPlanUpdateEvent } from '@theme/events';
 
 /**
  * A custom element that displays a product price.
@@ -6,18 +6,27 @@ import { ThemeEvents, VariantUpdateEvent } from '@theme/events';
  * It handles price updates from two different sources:
  * 1. Variant picker (in quick add modal or product page)
  * 2. Swatches variant picker (in product cards)
+ * It also shows the price of the selling plan selected in the product form.
  */
 class ProductPrice extends HTMLElement {
+  /**
+   * The price of the variant, shown again when a one-time purchase is selected.
+   * @type {string}
+   */
+  #variantPriceHTML = '';
+
   connectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.addEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.addEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   disconnectedCallback() {
     const closestSection = this.closest('.shopify-section, dialog');
     if (!closestSection) return;
     closestSection.removeEventListener(ThemeEvents.variantUpdate, this.updatePrice);
+    closestSection.removeEventListener(ThemeEvents.sellingPlanUpdate, this.updateSellingPlanPrice);
   }
 
   /**
@@ -36,10 +45,37 @@ class ProductPrice extends HTMLElement {
 
     if (!newPrice || !currentPrice) return;
 
-    if (currentPrice.innerHTML !== newPrice.innerHTML) {
+    // The price of a selling plan is replaced too, the selling plan picker shows it again for the new variant
+    if (currentPrice.hasAttribute('data-selling-plan-id') || currentPrice.innerHTML !== newPrice.innerHTML) {
       currentPrice.replaceWith(newPrice);
     }
   };
+
+  /**
+   * Shows the price of the selected selling plan, or the price of the variant for a one-time purchase.
+   * @param {SellingPlanUpdateEvent} event - The selling plan update event.
+   */
+  updateSellingPlanPrice = (event) => {
+    if (event.detail.data.productId !== this.dataset.productId) return;
+
+    const currentPrice = this.querySelector('[ref="priceContainer"]');
+    if (!currentPrice) return;
+
+    const { sellingPlanId } = event.detail;
+    const { priceHTML } = event.detail.data;
+
+    if (!currentPrice.hasAttribute('data-selling-plan-id')) {
+      this.#variantPriceHTML = currentPrice.innerHTML;
+    }
+
+    if (sellingPlanId && priceHTML) {
+      currentPrice.innerHTML = priceHTML;
+      currentPrice.setAttribute('data-selling-plan-id', sellingPlanId);
+    } else if (currentPrice.hasAttribute('data-selling-plan-id')) {
+      currentPrice.innerHTML = this.#variantPriceHTML;
+      currentPrice.removeAttribute('data-selling-plan-id');
+    }
+  };
 }
 
 if (!customElements.get('product-price')) {
@@ -0,0 +1,318 @@
+import { Component } from '@theme/component';
+import { cartStore } from '@theme/cart';
+import { vatDisplay } from '@theme/vat-display';
+
+// The session storage key of the punch-out session, shared with the inline script in `scripts.liquid`
+const STORAGE_KEY = 'theme:punch-out';
+
+// The URL parameters procurement systems open the shop with
+const OCI_PARAMS = ['HOOK_URL', '~TARGET', '~OkCode', '~CALLER'];
+const CXML_PARAMS = ['BrowserFormPost', 'BuyerCookie', 'BuyerIdentity'];
+
+// The XML namespace of the xml:lang attributes
+const XML_NAMESPACE = 'http://www.w3.org/XML/1998/namespace';
+
+// OCI limits the short text of an item to 40 characters
+const OCI_DESCRIPTION_MAX_LENGTH = 40;
+
+// Cart lines are sold per piece
+const UNIT_OF_MEASURE = 'EA';
+
+const CXML_DTD = 'http://xml.cxml.org/schemas/cXML/1.2.014/cXML.dtd';
+
+/**
+ * A punch-out session, started when a procurement system opens the shop.
+ *
+ * @typedef {object} PunchOutSession
+ * @property {'oci' | 'cxml'} type - The format the cart is transferred in.
+ * @property {string} returnUrl - The URL the cart is posted to: the OCI HOOK_URL or the cXML BrowserFormPost URL.
+ * @property {string} target - The window the cart is posted to.
+ * @property {string} okCode - The OCI ~OkCode sent back with the cart.
+ * @property {string} buyerCookie - The cXML BuyerCookie sent back with the cart.
+ * @property {string} buyerIdentity - The cXML identity of the buyer.
+ */
+
+/**
+ * Keeps track of the punch-out session of procurement systems like SAP SRM or Coupa, and transfers the cart to them.
+ *
+ * The session starts when the shop is opened with an OCI HOOK_URL, or a cXML BrowserFormPost URL, of an allowed host.
+ * It lasts as long as the browser tab, other visitors keep the normal checkout.
+ */
+class PunchOut {
+  /** @type {PunchOutSession | null} */
+  #session = null;
+
+  constructor() {
+    try {
+      this.#session = JSON.parse(sessionStorage.getItem(STORAGE_KEY) ?? 'null');
+    } catch {
+      this.#session = null;
+    }
+
+    this.#start();
+  }
+
+  /**
+   * The current punch-out session, null outside of punch-out mode.
+   * @returns {PunchOutSession | null}
+   */
+  get session() {
+    return this.#session;
+  }
+
+  /**
+   * Posts the cart lines to the procurement system, as an OCI form or a cXML PunchOutOrderMessage.
+   * @param {import('./cart').Cart} cart - The cart.
+   */
+  transfer(cart) {
+    const session = this.#session;
+    if (!session) throw new Error('There is no punch-out session');
+
+    const form = document.createElement('form');
+    form.method = 'post';
+    form.action = session.returnUrl;
+    form.target = session.target;
+    form.hidden = true;
+
+    const fields = session.type === 'oci' ? getOciFields(cart, session) : getCxmlFields(cart, session);
+
+    for (const [name, value] of fields) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = name;
+      input.value = value;
+      form.append(input);
+    }
+
+    document.body.append(form);
+    form.submit();
+    form.remove();
+  }
+
+  /**
+   * Starts a session if the shop was opened by a procurement system, and removes the parameters from the URL so they
+   * aren't shared with links to the page.
+   */
+  #start() {
+    const url = new URL(window.location.href);
+    const { searchParams } = url;
+    const hookUrl = searchParams.get('HOOK_URL');
+    const browserFormPost = searchParams.get('BrowserFormPost');
+    const returnUrl = hookUrl ?? browserFormPost;
+
+    if (returnUrl) {
+      if (isAllowedReturnUrl(returnUrl)) {
+        this.#session = {
+          type: hookUrl ? 'oci' : 'cxml',
+          returnUrl,
+          target: searchParams.get('~TARGET') || '_top',
+          okCode: searchParams.get('~OkCode') || 'ADDI',
+          buyerCookie: searchParams.get('BuyerCookie') ?? '',
+          buyerIdentity: searchParams.get('BuyerIdentity') ?? '',
+        };
+
+        try {
+          sessionStorage.setItem(STORAGE_KEY, JSON.stringify(this.#session));
+        } catch {
+          // Storage can be unavailable, the session then only lasts for this page
+        }
+      } else {
+        console.warn(`Punch-out return URL ${returnUrl} isn't on an allowed host`);
+      }
+
+      for (const param of [...OCI_PARAMS, ...CXML_PARAMS]) searchParams.delete(param);
+      history.replaceState(history.state, '', url);
+    }
+
+    if (this.#session) document.documentElement.dataset.punchOut = this.#session.type;
+  }
+}
+
+/**
+ * Only hosts listed in the punch-out theme settings can receive the cart, so links can't send it anywhere else. Plain
+ * HTTP is allowed for local stand-in endpoints.
+ * @param {string} value - The return URL.
+ * @returns {boolean}
+ */
+function isAllowedReturnUrl(value) {
+  try {
+    const url = new URL(value);
+    const allowedHosts = (Theme.punch_out?.allowed_hosts ?? '')
+      .split(/[\s,]+/)
+      .filter(Boolean)
+      .map((host) => host.toLowerCase());
+    const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+
+    return allowedHosts.includes(url.host) && (url.protocol === 'https:' || (isLocal && url.protocol === 'http:'));
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {import('./cart').Cart} cart - The cart.
+ * @param {PunchOutSession} session - The session.
+ * @returns {[string, string][]} The fields of the OCI form, one set of NEW_ITEM fields per line.
+ */
+function getOciFields(cart, session) {
+  /** @type {[string, string][]} */
+  const fields = [
+    ['~OkCode', session.okCode],
+    ['~CALLER', 'CTLG'],
+  ];
+
+  cart.items.forEach((item, index) => {
+    const n = index + 1;
+
+    fields.push(
+      [`NEW_ITEM-DESCRIPTION[${n}]`, item.title.slice(0, OCI_DESCRIPTION_MAX_LENGTH)],
+      [`NEW_ITEM-QUANTITY[${n}]`, String(item.quantity)],
+      [`NEW_ITEM-UNIT[${n}]`, UNIT_OF_MEASURE],
+      [`NEW_ITEM-PRICE[${n}]`, formatAmount(getNetPrice(item.final_price))],
+      [`NEW_ITEM-PRICEUNIT[${n}]`, '1'],
+      [`NEW_ITEM-CURRENCY[${n}]`, cart.currency],
+      [`NEW_ITEM-VENDORMAT[${n}]`, item.sku || String(item.variant_id)],
+      [`NEW_ITEM-EXT_PRODUCT_ID[${n}]`, String(item.variant_id)],
+      [`NEW_ITEM-LONGTEXT_${n}:132[]`, item.title]
+    );
+  });
+
+  return fields;
+}
+
+/**
+ * @param {import('./cart').Cart} cart - The cart.
+ * @param {PunchOutSession} session - The session.
+ * @returns {[string, string][]} The form field holding the cXML PunchOutOrderMessage.
+ */
+function getCxmlFields(cart, session) {
+  const xml = document.implementation.createDocument(null, 'cXML');
+  const root = xml.documentElement;
+  const lang = document.documentElement.lang || 'en';
+  const supplierId = Theme.punch_out?.supplier_id || window.location.hostname;
+
+  /**
+   * @param {Element} parent - The parent element.
+   * @param {string} name - The element name.
+   * @param {Record<string, string>} [attributes] - The attributes.
+   * @param {string} [text] - The text content.
+   * @returns {Element} The element.
+   */
+  const append = (parent, name, attributes = {}, text) => {
+    const element = xml.createElement(name);
+    for (const [key, value] of Object.entries(attributes)) element.setAttribute(key, value);
+    if (text !== undefined) element.textContent = text;
+    parent.append(element);
+    return element;
+  };
+
+  /**
+   * @param {Element} parent - The parent element.
+   * @param {string} name - The element name.
+   * @param {string} identity - The identity.
+   * @returns {Element} The element.
+   */
+  const appendCredential = (parent, name, identity) => {
+    const element = append(parent, name);
+    append(append(element, 'Credential', { domain: 'NetworkID' }), 'Identity', {}, identity);
+    return element;
+  };
+
+  /**
+   * @param {Element} parent - The parent element.
+   * @param {number} cents - The price in cents, as set in the store.
+   */
+  const appendMoney = (parent, cents) => {
+    append(parent, 'Money', { currency: cart.currency }, formatAmount(getNetPrice(cents)));
+  };
+
+  root.setAttribute('payloadID', `${Date.now()}.${Math.random().toString(36).slice(2)}@${supplierId}`);
+  root.setAttribute('timestamp', new Date().toISOString());
+  root.setAttributeNS(XML_NAMESPACE, 'xml:lang', lang);
+
+  const header = append(root, 'Header');
+  appendCredential(header, 'From', supplierId);
+  appendCredential(header, 'To', session.buyerIdentity);
+  append(appendCredential(header, 'Sender', supplierId), 'UserAgent', {}, document.title);
+
+  const message = append(append(root, 'Message'), 'PunchOutOrderMessage');
+  append(message, 'BuyerCookie', {}, session.buyerCookie);
+
+  const messageHeader = append(message, 'PunchOutOrderMessageHeader', { operationAllowed: 'create' });
+  appendMoney(append(messageHeader, 'Total'), cart.total_price);
+
+  for (const item of cart.items) {
+    const itemIn = append(message, 'ItemIn', { quantity: String(item.quantity) });
+
+    const itemId = append(itemIn, 'ItemID');
+    append(itemId, 'SupplierPartID', {}, item.sku || String(item.variant_id));
+    append(itemId, 'SupplierPartAuxiliaryID', {}, String(item.variant_id));
+
+    const itemDetail = append(itemIn, 'ItemDetail');
+    appendMoney(append(itemDetail, 'UnitPrice'), item.final_price);
+    append(itemDetail, 'Description', {}, item.title).setAttributeNS(XML_NAMESPACE, 'xml:lang', lang);
+    append(itemDetail, 'UnitOfMeasure', {}, UNIT_OF_MEASURE);
+    append(itemDetail, 'Classification', { domain: 'UNSPSC' }, '');
+    append(itemDetail, 'URL', {}, new URL(item.url, window.location.origin).toString());
+  }
+
+  const payload = `<?xml version="1.0" encoding="UTF-8"?>\n<!DOCTYPE cXML SYSTEM "${CXML_DTD}">\n${new XMLSerializer().serializeToString(xml)}`;
+
+  return [['cxml-urlencoded', payload]];
+}
+
+/**
+ * Procurement systems expect prices excluding VAT.
+ * @param {number} cents - The price in cents, as set in the store.
+ * @returns {number} The price in cents excluding VAT.
+ */
+function getNetPrice(cents) {
+  return vatDisplay.toDisplayPrice(cents, 'excl');
+}
+
+/**
+ * @param {number} cents - The amount in cents.
+ * @returns {string} The amount with a decimal point and two decimals.
+ */
+function formatAmount(cents) {
+  return (cents / 100).toFixed(2);
+}
+
+export const punchOut = new PunchOut();
+
+/**
+ * A custom element that replaces the checkout button with a button that transfers the cart to the procurement system,
+ * in punch-out mode. The styles in `punch-out.liquid` show one or the other.
+ *
+ * @typedef {object} PunchOutRefs
+ * @property {HTMLButtonElement} transferButton - The transfer button.
+ * @property {HTMLElement} message - The error message.
+ *
+ * @extends {Component<PunchOutRefs>}
+ */
+class PunchOutComponent extends Component {
+  requiredRefs = ['transferButton', 'message'];
+
+  /**
+   * Transfers the cart to the procurement system.
+   */
+  async transfer() {
+    const { transferButton, message } = this.refs;
+
+    transferButton.disabled = true;
+    message.textContent = '';
+
+    try {
+      punchOut.transfer(await cartStore.get());
+    } catch (error) {
+      console.error(error);
+      message.textContent = this.dataset.errorText ?? '';
+    } finally {
+      transferButton.disabled = false;
+    }
+  }
+}
+
+if (!customElements.get('punch-out-component')) {
+  customElements.define('punch-out-component', PunchOutComponent);
+}
@@ -0,0 +1,532 @@
+import { Component } from '@theme/component';
+import { debounce } from '@theme/utilities';
+import { cartPerformance } from '@theme/performance';
+import { cartStore, getCartItemsSectionIds, CartError, CartOfflineError } from '@theme/cart';
+import {
+  showAddToCartError,
+  ERROR_MESSAGE_DISPLAY_DURATION,
+  SUCCESS_MESSAGE_DISPLAY_DURATION,
+} from '@theme/product-form';
+
+// The section rendered on the predictive search route to resolve item numbers to variants
+const LOOKUP_SECTION_ID = 'section-rendering-quick-order-lookup';
+
+// Delay between the last keystroke in an item number field and the lookup request
+const LOOKUP_DEBOUNCE_DELAY = 350;
+
+/**
+ * A variant resolved from an item number (SKU) or EAN barcode.
+ *
+ * @typedef {object} QuickOrderVariant
+ * @property {number} id - The variant id.
+ * @property {string} sku - The variant SKU.
+ * @property {string} barcode - The variant barcode.
+ * @property {string} title - The product title, followed by the variant title for products with variants.
+ * @property {string} url - The variant URL.
+ * @property {string | null} image - The variant or product image URL.
+ * @property {string} price_html - The formatted variant price, rendered including and excluding VAT.
+ * @property {boolean} available - Whether the variant can be added to the cart.
+ * @property {{ min: number, max: number | null, increment: number }} quantity_rule - The variant quantity rule.
+ */
+
+/**
+ * Lookups by normalized item number, shared between all forms on the page.
+ * @type {Map<string, Promise<QuickOrderVariant | null>>}
+ */
+const lookups = new Map();
+
+/**
+ * Finds the variant with the given SKU or barcode.
+ * @param {string} term - The item number or EAN.
+ * @returns {Promise<QuickOrderVariant | null>} The matching variant, or null if there is none.
+ */
+export function lookupVariant(term) {
+  const key = term.toLowerCase();
+  let lookup = lookups.get(key);
+
+  if (!lookup) {
+    const url = new URL(Theme.routes.predictive_search_url, window.location.origin);
+    url.searchParams.set('q', term);
+    url.searchParams.set('resources[type]', 'product');
+    url.searchParams.set('resources[limit]', '10');
+    url.searchParams.set('resources[options][fields]', 'variants.sku,variants.barcode');
+    url.searchParams.set('resources[options][unavailable_products]', 'show');
+    url.searchParams.set('section_id', LOOKUP_SECTION_ID);
+
+    lookup = fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Server returned ${response.status}`);
+        return response.text();
+      })
+      .then((html) => {
+        const results = new DOMParser()
+          .parseFromString(html, 'text/html')
+          .querySelector('script[data-quick-order-results]');
+
+        /** @type {QuickOrderVariant[]} */
+        const variants = JSON.parse(results?.textContent || '[]');
+
+        return variants[0] ?? null;
+      });
+
+    // Don't keep failed lookups around, the next attempt might succeed
+    lookup.catch(() => lookups.delete(key));
+    lookups.set(key, lookup);
+  }
+
+  return lookup;
+}
+
+/**
+ * Checks a quantity against a variant quantity rule.
+ * @param {number} quantity - The quantity.
+ * @param {QuickOrderVariant['quantity_rule']} rule - The quantity rule.
+ * @param {{ minimum: string, maximum: string, increments: string }} messages - The translated message for each rule.
+ * @returns {string | null} The error message, or null if the quantity is valid.
+ */
+export function getQuantityRuleError(quantity, { min, max, increment }, messages) {
+  if (quantity < min || quantity < 1) return messages.minimum.replace('{{ minimum }}', String(min));
+  if (max !== null && quantity > max) return messages.maximum.replace('{{ maximum }}', String(max));
+  if ((quantity - min) % increment !== 0) return messages.increments.replace('{{ increment }}', String(increment));
+
+  return null;
+}
+
+/**
+ * A custom element that lets customers add many products to the cart by item number or EAN.
+ *
+ * @typedef {object} QuickOrderRefs
+ * @property {HTMLTableSectionElement} rows - The table body holding the order rows.
+ * @property {HTMLTemplateElement} rowTemplate - The template for a single order row.
+ * @property {HTMLButtonElement} submitButton - The add to cart button.
+ * @property {HTMLElement | undefined} addToCartTextError - The add to cart text error.
+ * @property {HTMLElement} liveRegion - The live region.
+ *
+ * @extends Component<QuickOrderRefs>
+ */
+export class QuickOrderComponent extends Component {
+  requiredRefs = ['rows', 'rowTemplate', 'submitButton', 'liveRegion'];
+
+  /**
+   * The resolved variant of each row.
+   * @type {WeakMap<HTMLElement, QuickOrderVariant>}
+   */
+  #variants = new WeakMap();
+
+  /**
+   * The debounced lookup of each row.
+   * @type {WeakMap<HTMLElement, ReturnType<typeof debounce>>}
+   */
+  #debouncedLookups = new WeakMap();
+
+  /** @type {number | undefined} */
+  #timeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    if (!this.#rows.length) this.#resetRows();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+  }
+
+  /**
+   * Appends an empty row to the order.
+   * @returns {HTMLElement} The new row.
+   */
+  addRow() {
+    const fragment = /** @type {DocumentFragment} */ (this.refs.rowTemplate.content.cloneNode(true));
+    const row = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+    this.refs.rows.append(fragment);
+
+    return row;
+  }
+
+  /**
+   * Removes the row the event was triggered from, keeping at least one row in the order.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  removeRow(event) {
+    const row = this.#getRow(event.target);
+    if (!row) return;
+
+    this.#debouncedLookups.get(row)?.cancel();
+
+    if (this.#rows.length > 1) {
+      row.remove();
+    } else {
+      this.#clearRow(row);
+    }
+  }
+
+  /**
+   * Looks up the product for the item number typed in a row.
+   * @param {InputEvent & { target: HTMLInputElement }} event - The input event.
+   */
+  handleSkuInput(event) {
+    const row = this.#getRow(event.target);
+    if (!row) return;
+
+    this.#variants.delete(row);
+    this.#setRowState(row, event.target.value.trim() ? 'loading' : 'idle');
+
+    let debouncedLookup = this.#debouncedLookups.get(row);
+    if (!debouncedLookup) {
+      debouncedLookup = debounce(() => this.#lookupRow(row), LOOKUP_DEBOUNCE_DELAY);
+      this.#debouncedLookups.set(row, debouncedLookup);
+    }
+    debouncedLookup();
+
+    // Always keep an empty row at the end so customers can keep typing
+    if (row === this.refs.rows.lastElementChild && event.target.value.trim()) this.addRow();
+  }
+
+  /**
+   * Validates the quantity typed in a row against the variant's quantity rules.
+   * @param {InputEvent & { target: HTMLInputElement }} event - The input event.
+   */
+  handleQuantityInput(event) {
+    const row = this.#getRow(event.target);
+    if (!row || !this.#variants.has(row)) return;
+
+    this.#validateRow(row);
+  }
+
+  /**
+   * Adds all valid rows to the cart in a single request.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async handleSubmit(event) {
+    event.preventDefault();
+
+    const { submitButton } = this.refs;
+    if (submitButton.disabled) return;
+
+    this.#hideError();
+
+    const rows = this.#rows.filter((row) => this.#getSkuInput(row).value.trim());
+    if (!rows.length) {
+      this.#showError(this.dataset.noRowsText ?? '');
+      return;
+    }
+
+    submitButton.disabled = true;
+
+    try {
+      // Resolve rows that are still waiting for their debounced lookup
+      await Promise.all(
+        rows.map((row) => {
+          this.#debouncedLookups.get(row)?.cancel();
+          return this.#variants.has(row) ? undefined : this.#lookupRow(row);
+        })
+      );
+
+      const invalidRows = rows.filter((row) => !this.#validateRow(row));
+      const [firstInvalidRow] = invalidRows;
+      if (firstInvalidRow) {
+        this.#showError(this.dataset.invalidRowsText ?? '');
+        this.#getSkuInput(firstInvalidRow).focus();
+        return;
+      }
+
+      await this.#addToCart(rows, event);
+    } finally {
+      submitButton.disabled = false;
+    }
+  }
+
+  /**
+   * Sends the rows to the cart as a single multi-item add.
+   * @param {HTMLElement[]} rows - The validated rows.
+   * @param {Event} event - The submit event.
+   */
+  async #addToCart(rows, event) {
+    /** @type {Map<number, number>} */
+    const quantities = new Map();
+    /** @type {Set<string>} */
+    const titles = new Set();
+
+    for (const row of rows) {
+      const variant = /** @type {QuickOrderVariant} */ (this.#variants.get(row));
+      quantities.set(variant.id, (quantities.get(variant.id) ?? 0) + this.#getQuantity(row));
+      titles.add(variant.title);
+    }
+
+    const items = Array.from(quantities, ([id, quantity]) => ({ id, quantity }));
+    const totalQuantity = items.reduce((total, item) => total + item.quantity, 0);
+
+    try {
+      await cartStore.add(
+        { items },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'quick-order-component',
+          sections: getCartItemsSectionIds(),
+          label: Array.from(titles).join(', '),
+        }
+      );
+
+      this.#setLiveRegionText((this.dataset.addedText ?? '').replace('{{ count }}', totalQuantity.toString()));
+      this.#timeout = setTimeout(() => this.#setLiveRegionText(''), SUCCESS_MESSAGE_DISPLAY_DURATION);
+      this.#resetRows();
+    } catch (error) {
+      if (error instanceof CartError) {
+        this.#showError(error.message);
+        return;
+      }
+
+      // The rows are added once the connection is back, so they're cleared to not add them twice
+      if (error instanceof CartOfflineError) {
+        this.#showError(this.dataset.offlineText ?? '');
+        this.#resetRows();
+        return;
+      }
+
+      console.error(error);
+    } finally {
+      cartPerformance.measureFromEvent('add:user-action', event);
+    }
+  }
+
+  /**
+   * Resolves the item number of a row and renders the result.
+   * @param {HTMLElement} row - The row.
+   */
+  async #lookupRow(row) {
+    const term = this.#getSkuInput(row).value.trim();
+
+    if (!term) {
+      this.#clearRow(row);
+      return;
+    }
+
+    this.#setRowState(row, 'loading');
+
+    let variant = null;
+    try {
+      variant = await lookupVariant(term);
+    } catch (error) {
+      console.error('Quick order lookup failed:', error);
+    }
+
+    // The item number was changed while the lookup was in flight
+    if (this.#getSkuInput(row).value.trim() !== term) return;
+
+    this.#renderProduct(row, variant);
+
+    if (!variant) {
+      this.#variants.delete(row);
+      this.#setRowState(row, 'not-found', this.dataset.notFoundText);
+      return;
+    }
+
+    this.#variants.set(row, variant);
+    this.#applyQuantityRule(row, variant);
+    this.#validateRow(row);
+  }
+
+  /**
+   * Applies the variant's quantity rule to the row's quantity input and snaps the value to it.
+   * @param {HTMLElement} row - The row.
+   * @param {QuickOrderVariant} variant - The resolved variant.
+   */
+  #applyQuantityRule(row, variant) {
+    const input = this.#getQuantityInput(row);
+    const { min, max, increment } = variant.quantity_rule;
+
+    input.min = String(min);
+    input.step = String(increment);
+    if (max) {
+      input.max = String(max);
+    } else {
+      input.removeAttribute('max');
+    }
+
+    const quantity = this.#getQuantity(row);
+    if (quantity < min) {
+      input.value = String(min);
+    } else if ((quantity - min) % increment !== 0) {
+      input.value = String(min + Math.ceil((quantity - min) / increment) * increment);
+    }
+  }
+
+  /**
+   * Validates a row and renders its state.
+   * @param {HTMLElement} row - The row.
+   * @returns {boolean} Whether the row can be added to the cart.
+   */
+  #validateRow(row) {
+    const variant = this.#variants.get(row);
+
+    if (!variant) {
+      this.#setRowState(row, 'not-found', this.dataset.notFoundText);
+      return false;
+    }
+
+    if (!variant.available) {
+      this.#setRowState(row, 'invalid', this.dataset.soldOutText);
+      return false;
+    }
+
+    const message = getQuantityRuleError(this.#getQuantity(row), variant.quantity_rule, {
+      minimum: this.dataset.quantityMinimumText ?? '',
+      maximum: this.dataset.quantityMaximumText ?? '',
+      increments: this.dataset.quantityIncrementsText ?? '',
+    });
+    if (message) {
+      this.#setRowState(row, 'invalid', message);
+      return false;
+    }
+
+    this.#setRowState(row, 'found');
+    return true;
+  }
+
+  /**
+   * Renders the product information of a row.
+   * @param {HTMLElement} row - The row.
+   * @param {QuickOrderVariant | null} variant - The resolved variant.
+   */
+  #renderProduct(row, variant) {
+    const container = row.querySelector('.quick-order__product-info');
+    if (!container) return;
+
+    if (!variant) {
+      container.replaceChildren();
+      return;
+    }
+
+    const link = document.createElement('a');
+    link.href = variant.url;
+    link.className = 'quick-order__product-title';
+    link.textContent = variant.title;
+
+    const price = document.createElement('span');
+    price.className = 'quick-order__product-price';
+    price.innerHTML = variant.price_html;
+
+    if (variant.image) {
+      const image = document.createElement('img');
+      image.src = variant.image;
+      image.alt = '';
+      image.width = 48;
+      image.height = 48;
+      image.loading = 'lazy';
+      image.className = 'quick-order__product-image';
+      container.replaceChildren(image, link, price);
+    } else {
+      container.replaceChildren(link, price);
+    }
+  }
+
+  /**
+   * Sets the state of a row and the message shown below the product.
+   * @param {HTMLElement} row - The row.
+   * @param {'idle' | 'loading' | 'found' | 'not-found' | 'invalid'} state - The row state.
+   * @param {string} [message] - The message to show.
+   */
+  #setRowState(row, state, message = '') {
+    row.dataset.state = state;
+
+    const rowMessage = row.querySelector('.quick-order__row-message');
+    if (rowMessage) rowMessage.textContent = state === 'loading' ? (this.dataset.searchingText ?? '') : message;
+
+    this.#getSkuInput(row).setAttribute('aria-invalid', String(state === 'not-found'));
+    this.#getQuantityInput(row).setAttribute('aria-invalid', String(state === 'invalid'));
+  }
+
+  /**
+   * Empties a row.
+   * @param {HTMLElement} row - The row.
+   */
+  #clearRow(row) {
+    this.#variants.delete(row);
+    this.#getSkuInput(row).value = '';
+    this.#getQuantityInput(row).value = '1';
+    this.#renderProduct(row, null);
+    this.#setRowState(row, 'idle');
+  }
+
+  /**
+   * Replaces all rows with the initial number of empty rows.
+   */
+  #resetRows() {
+    this.refs.rows.replaceChildren();
+
+    const initialRows = Number(this.dataset.initialRows) || 1;
+    for (let i = 0; i < initialRows; i++) this.addRow();
+  }
+
+  /**
+   * Shows an error message below the rows and announces it to screen readers.
+   * @param {string} message - The error message.
+   */
+  #showError(message) {
+    const { addToCartTextError } = this.refs;
+
+    if (addToCartTextError) showAddToCartError(addToCartTextError, message);
+    this.#setLiveRegionText(message);
+
+    if (this.#timeout) clearTimeout(this.#timeout);
+    this.#timeout = setTimeout(() => this.#hideError(), ERROR_MESSAGE_DISPLAY_DURATION);
+  }
+
+  #hideError() {
+    this.refs.addToCartTextError?.classList.add('hidden');
+    this.#setLiveRegionText('');
+  }
+
+  /**
+   * @param {string} text
+   */
+  #setLiveRegionText(text) {
+    this.refs.liveRegion.textContent = text;
+  }
+
+  /**
+   * @param {Element} element - An element inside a row.
+   * @returns {HTMLElement | null} The row.
+   */
+  #getRow(element) {
+    return element.closest('.quick-order__row');
+  }
+
+  /**
+   * @param {HTMLElement} row
+   * @returns {HTMLInputElement}
+   */
+  #getSkuInput(row) {
+    return /** @type {HTMLInputElement} */ (row.querySelector('input[name="sku"]'));
+  }
+
+  /**
+   * @param {HTMLElement} row
+   * @returns {HTMLInputElement}
+   */
+  #getQuantityInput(row) {
+    return /** @type {HTMLInputElement} */ (row.querySelector('input[name="quantity"]'));
+  }
+
+  /**
+   * @param {HTMLElement} row
+   * @returns {number}
+   */
+  #getQuantity(row) {
+    return parseInt(this.#getQuantityInput(row).value) || 0;
+  }
+
+  /** @returns {HTMLElement[]} */
+  get #rows() {
+    return /** @type {HTMLElement[]} */ (Array.from(this.refs.rows.children));
+  }
+}
+
+if (!customElements.get('quick-order-component')) {
+  customElements.define('quick-order-component', QuickOrderComponent);
+}
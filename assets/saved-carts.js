@@ -0,0 +1,665 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SavedCartsUpdateEvent } from '@theme/events';
+import { cartStore, getCartItemsSectionIds } from '@theme/cart';
+import { debounce } from '@theme/utilities';
+
+// The local storage key of the saved carts
+const STORAGE_KEY = 'theme:saved-carts';
+
+// Bursts of changes, e.g. renaming a cart and switching to it, are stored in the customer account once
+const REMOTE_SAVE_DELAY = 1000;
+
+const SOURCE = 'saved-carts-component';
+
+/**
+ * A line of a saved cart.
+ *
+ * @typedef {object} SavedCartLine
+ * @property {number} variantId - The variant id.
+ * @property {number} quantity - The quantity.
+ * @property {string} title - The line item title.
+ * @property {Record<string, string> | null} properties - The line item properties.
+ * @property {number | null} sellingPlan - The selling plan id.
+ * @property {boolean} [unavailable] - Whether the line couldn't be added to the cart when switching to the saved
+ *   cart, e.g. because it sold out. It's kept in the saved cart and added again on the next switch.
+ */
+
+/**
+ * A cart saved under a name, e.g. the order of a department.
+ *
+ * @typedef {object} SavedCart
+ * @property {string} id - The id of the saved cart.
+ * @property {string} name - The name.
+ * @property {SavedCartLine[]} lines - The lines.
+ * @property {number} updatedAt - When the cart was last changed, in milliseconds since the epoch.
+ */
+
+/**
+ * A line of a saved cart that couldn't be added to the cart, e.g. because it sold out.
+ *
+ * @typedef {object} SavedCartFailure
+ * @property {SavedCartLine} line - The line.
+ * @property {string} message - The error message.
+ */
+
+/**
+ * The saved carts, as stored in the browser. The customer account only stores the carts, which saved cart is the
+ * current cart depends on the browser.
+ *
+ * @typedef {object} SavedCartsState
+ * @property {string | null} activeId - The id of the saved cart that is the current cart.
+ * @property {SavedCart[]} carts - The saved carts.
+ * @property {number} updatedAt - When the carts were last changed, in milliseconds since the epoch.
+ */
+
+/**
+ * Keeps the carts saved under a name, in the browser and optionally in the customer account.
+ *
+ * One of the saved carts can be the current cart. Changes to the current cart are saved as they're made, so switching
+ * to another saved cart never loses lines. Switching replaces the line items of the cart through the cart store, so
+ * every cart component is notified through the usual cart events.
+ */
+class SavedCarts {
+  /**
+   * The app proxy endpoint that stores the saved carts in the customer account.
+   * @type {string | null}
+   */
+  #endpoint = null;
+
+  /**
+   * Whether the cart is being replaced by a saved cart, the changes it makes aren't saved to the current cart.
+   */
+  #isSwitching = false;
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key === STORAGE_KEY) this.#dispatchUpdate();
+    });
+
+    cartStore.subscribe((cart) => this.#saveActiveCart(cart));
+  }
+
+  /**
+   * The saved carts, in the order they were saved.
+   * @returns {SavedCart[]}
+   */
+  get carts() {
+    return readState().carts;
+  }
+
+  /**
+   * The id of the saved cart that is the current cart, null if the current cart isn't saved.
+   * @returns {string | null}
+   */
+  get activeId() {
+    return readState().activeId;
+  }
+
+  /**
+   * Stores the saved carts in the customer account from now on. The carts stored in the account replace the ones in
+   * the browser if they're newer, e.g. when they were changed on another device.
+   * @param {string} endpoint - The app proxy endpoint that stores the saved carts.
+   * @param {{ carts?: SavedCart[], updatedAt?: number } | null} accountCarts - The carts stored in the account.
+   */
+  connect(endpoint, accountCarts) {
+    if (this.#endpoint === endpoint) return;
+
+    this.#endpoint = endpoint;
+
+    const state = readState();
+
+    if (accountCarts && Array.isArray(accountCarts.carts) && (accountCarts.updatedAt ?? 0) > state.updatedAt) {
+      const { carts } = accountCarts;
+      const activeId = carts.some((cart) => cart.id === state.activeId) ? state.activeId : null;
+
+      writeState({ activeId, carts, updatedAt: accountCarts.updatedAt ?? 0 });
+      this.#dispatchUpdate();
+    } else if (state.updatedAt > (accountCarts?.updatedAt ?? 0)) {
+      this.#debouncedSaveToAccount();
+    }
+  }
+
+  /**
+   * Saves the current cart under a name and makes it the current saved cart.
+   * @param {string} name - The name.
+   * @returns {Promise<SavedCart>} The saved cart.
+   */
+  async save(name) {
+    const cart = await cartStore.get();
+    const savedCart = { id: createId(), name, lines: cart.items.map(toSavedLine), updatedAt: Date.now() };
+    const state = readState();
+
+    this.#update({ ...state, activeId: savedCart.id, carts: [...state.carts, savedCart] });
+
+    return savedCart;
+  }
+
+  /**
+   * @param {string} id - The id of the saved cart.
+   * @param {string} name - The new name.
+   */
+  rename(id, name) {
+    const state = readState();
+
+    this.#update({
+      ...state,
+      carts: state.carts.map((cart) => (cart.id === id ? { ...cart, name, updatedAt: Date.now() } : cart)),
+    });
+  }
+
+  /**
+   * Deletes a saved cart. Deleting the current saved cart keeps the line items in the cart.
+   * @param {string} id - The id of the saved cart.
+   */
+  delete(id) {
+    const state = readState();
+
+    this.#update({
+      activeId: state.activeId === id ? null : state.activeId,
+      carts: state.carts.filter((cart) => cart.id !== id),
+      updatedAt: state.updatedAt,
+    });
+  }
+
+  /**
+   * Replaces the line items of the cart with a saved cart, or empties it to start a new cart. The current cart has to
+   * be saved first, unless it's empty.
+   * @param {string | null} id - The id of the saved cart, null to start a new cart.
+   * @returns {Promise<SavedCartFailure[]>} The lines that couldn't be added.
+   */
+  async switchTo(id) {
+    const savedCart = this.carts.find((cart) => cart.id === id) ?? null;
+    if (id && !savedCart) throw new Error(`Saved cart ${id} not found`);
+
+    const previousState = readState();
+
+    // The current saved cart is set first, so another tab that picks up the new cart saves it to the right one
+    this.#update({ ...previousState, activeId: id });
+
+    return this.#replaceCart(savedCart?.lines ?? [], previousState);
+  }
+
+  /**
+   * Adds the lines of a saved cart to another saved cart, and deletes it. When either of them is the current saved
+   * cart, the cart is replaced with the merged lines and the merged cart becomes the current saved cart.
+   * @param {string} sourceId - The id of the saved cart to merge.
+   * @param {string} targetId - The id of the saved cart to merge it into.
+   * @returns {Promise<SavedCartFailure[]>} The lines that couldn't be added to the cart.
+   */
+  async merge(sourceId, targetId) {
+    const state = readState();
+    const source = state.carts.find((cart) => cart.id === sourceId);
+    const target = state.carts.find((cart) => cart.id === targetId);
+    if (!source || !target || source === target) throw new Error('Saved carts to merge not found');
+
+    const merged = { ...target, lines: mergeLines(target.lines, source.lines), updatedAt: Date.now() };
+    const isActive = state.activeId === sourceId || state.activeId === targetId;
+
+    this.#update({
+      activeId: isActive ? targetId : state.activeId,
+      carts: state.carts.filter((cart) => cart !== source).map((cart) => (cart === target ? merged : cart)),
+      updatedAt: state.updatedAt,
+    });
+
+    return isActive ? this.#replaceCart(merged.lines, state) : [];
+  }
+
+  /**
+   * @param {SavedCartLine[]} lines - The lines of the new cart.
+   * @param {SavedCartsState} previousState - The saved carts before the switch, restored when the cart can't be
+   *   replaced.
+   * @returns {Promise<SavedCartFailure[]>} The lines that couldn't be added.
+   */
+  async #replaceCart(lines, previousState) {
+    this.#isSwitching = true;
+
+    try {
+      const items = lines.map(toItemInput);
+      const { failedItems, ...cart } = await cartStore.replace(items, {
+        sections: getCartItemsSectionIds(),
+        source: SOURCE,
+      });
+
+      this.#isSwitching = false;
+
+      const failures = failedItems.flatMap(({ item, message }) => {
+        const line = lines[items.indexOf(item)];
+
+        return line ? [{ line, message }] : [];
+      });
+
+      this.#saveActiveCart(
+        cart,
+        failures.map(({ line }) => ({ ...line, unavailable: true }))
+      );
+
+      return failures;
+    } catch (error) {
+      this.#restoreState(previousState);
+      throw error;
+    } finally {
+      this.#isSwitching = false;
+    }
+  }
+
+  /**
+   * Restores the saved carts after the cart couldn't be replaced. The cart may have been cleared or partly replaced,
+   * so it's only the previous saved cart again if it still holds its lines, otherwise the next change would overwrite
+   * them.
+   * @param {SavedCartsState} previousState - The saved carts before the switch.
+   */
+  #restoreState(previousState) {
+    const previous = previousState.carts.find((savedCart) => savedCart.id === previousState.activeId);
+    const cartLines = cartStore.state?.items.map(toSavedLine) ?? [];
+    const isUnchanged =
+      previous !== undefined &&
+      JSON.stringify(cartLines) === JSON.stringify(previous.lines.filter((line) => !line.unavailable));
+
+    this.#update({ ...previousState, activeId: isUnchanged ? previousState.activeId : null });
+  }
+
+  /**
+   * Saves the line items of the cart to the current saved cart, with the lines that couldn't be added to the cart.
+   * @param {import('./cart').Cart} cart - The cart.
+   * @param {SavedCartLine[]} [unavailableLines] - The lines that couldn't be added, the ones of the saved cart by default.
+   */
+  #saveActiveCart(cart, unavailableLines) {
+    if (this.#isSwitching) return;
+
+    const state = readState();
+    const active = state.carts.find((savedCart) => savedCart.id === state.activeId);
+    if (!active) return;
+
+    const lines = cart.items.map(toSavedLine);
+    const keys = new Set(lines.map(getLineKey));
+
+    // Once a line is in the cart again, e.g. back in stock, the cart has its quantity
+    for (const line of unavailableLines ?? active.lines.filter((line) => line.unavailable)) {
+      if (!keys.has(getLineKey(line))) lines.push(line);
+    }
+
+    if (JSON.stringify(lines) === JSON.stringify(active.lines)) return;
+
+    this.#update({
+      ...state,
+      carts: state.carts.map((savedCart) =>
+        savedCart === active ? { ...active, lines, updatedAt: Date.now() } : savedCart
+      ),
+    });
+  }
+
+  /**
+   * @param {SavedCartsState} state - The new state.
+   */
+  #update(state) {
+    writeState({ ...state, updatedAt: Date.now() });
+    this.#dispatchUpdate();
+    this.#debouncedSaveToAccount();
+  }
+
+  #dispatchUpdate() {
+    const { carts, activeId } = readState();
+
+    document.dispatchEvent(new SavedCartsUpdateEvent(carts, activeId));
+  }
+
+  #debouncedSaveToAccount = debounce(async () => {
+    if (!this.#endpoint) return;
+
+    const { carts, updatedAt } = readState();
+
+    try {
+      const response = await fetch(this.#endpoint, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+        body: JSON.stringify({ carts, updatedAt }),
+      });
+
+      if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+    } catch (error) {
+      // The carts are still saved in the browser, the next change tries again
+      console.error('Failed to save the carts to the customer account:', error);
+    }
+  }, REMOTE_SAVE_DELAY);
+}
+
+/**
+ * @param {import('./cart').CartItem} item - The line item.
+ * @returns {SavedCartLine} The saved line.
+ */
+function toSavedLine(item) {
+  const properties = item.properties && Object.keys(item.properties).length ? item.properties : null;
+
+  return {
+    variantId: item.variant_id,
+    quantity: item.quantity,
+    title: item.title,
+    properties,
+    sellingPlan: item.selling_plan_allocation?.selling_plan.id ?? null,
+  };
+}
+
+/**
+ * @param {SavedCartLine} line - The saved line.
+ * @returns {import('./cart').CartItemInput} The item to add to the cart.
+ */
+function toItemInput({ variantId, quantity, properties, sellingPlan }) {
+  return {
+    id: variantId,
+    quantity,
+    ...(properties && { properties }),
+    ...(sellingPlan && { selling_plan: sellingPlan }),
+  };
+}
+
+/**
+ * Adds lines to a saved cart, adding up the quantities of lines for the same variant, properties and selling plan.
+ * @param {SavedCartLine[]} lines - The lines of the saved cart.
+ * @param {SavedCartLine[]} otherLines - The lines to add.
+ * @returns {SavedCartLine[]} The merged lines.
+ */
+function mergeLines(lines, otherLines) {
+  /** @type {Map<string, SavedCartLine>} */
+  const merged = new Map();
+
+  for (const line of [...lines, ...otherLines]) {
+    const key = getLineKey(line);
+    const existing = merged.get(key);
+
+    merged.set(key, existing ? { ...existing, quantity: existing.quantity + line.quantity } : line);
+  }
+
+  return Array.from(merged.values());
+}
+
+/**
+ * @param {SavedCartLine} line - The saved line.
+ * @returns {string} The key of lines for the same variant, properties and selling plan.
+ */
+function getLineKey(line) {
+  return JSON.stringify([line.variantId, line.properties, line.sellingPlan]);
+}
+
+/**
+ * @returns {string} A new saved cart id.
+ */
+function createId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * @returns {SavedCartsState} The saved carts.
+ */
+function readState() {
+  try {
+    const state = JSON.parse(localStorage.getItem(STORAGE_KEY) || 'null');
+
+    if (state && Array.isArray(state.carts)) {
+      return { activeId: state.activeId ?? null, carts: state.carts, updatedAt: Number(state.updatedAt) || 0 };
+    }
+  } catch {
+    // Fall through to an empty state
+  }
+
+  return { activeId: null, carts: [], updatedAt: 0 };
+}
+
+/**
+ * @param {SavedCartsState} state - The saved carts.
+ */
+function writeState(state) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('Failed to save the carts:', error);
+  }
+}
+
+export const savedCarts = new SavedCarts();
+
+/**
+ * A custom element to save the cart under a name, switch between the saved carts, rename, merge and delete them.
+ *
+ * The saved carts are kept in the browser, so the list is rendered there. Section re-renders skip it.
+ *
+ * @typedef {object} SavedCartsRefs
+ * @property {HTMLElement} current - The name of the current saved cart.
+ * @property {HTMLUListElement} list - The list of saved carts.
+ * @property {HTMLTemplateElement} itemTemplate - The template of a saved cart in the list.
+ * @property {HTMLInputElement} nameInput - The name of the cart to save.
+ * @property {HTMLElement} message - The status message.
+ *
+ * @extends {Component<SavedCartsRefs>}
+ */
+class SavedCartsComponent extends Component {
+  requiredRefs = ['current', 'list', 'itemTemplate', 'nameInput', 'message'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { endpoint, accountCarts } = this.dataset;
+
+    if (endpoint) {
+      let carts = null;
+
+      try {
+        carts = JSON.parse(accountCarts || 'null');
+      } catch {
+        // The carts in the account are replaced with the next change
+      }
+
+      savedCarts.connect(endpoint, carts);
+    }
+
+    document.addEventListener(ThemeEvents.savedCartsUpdate, this.#render);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedCartsUpdate, this.#render);
+  }
+
+  /**
+   * Saves the current cart under the entered name.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  async saveCart(event) {
+    event.preventDefault();
+
+    const { nameInput } = this.refs;
+    const name = nameInput.value.trim();
+    if (!name) return;
+
+    await savedCarts.save(name);
+
+    nameInput.value = '';
+    this.#showMessage((this.dataset.savedText ?? '').replace('{{ name }}', name));
+  }
+
+  /**
+   * Switches to the saved cart of the event target.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  switchCart(event) {
+    const id = this.#getCartId(event.target);
+    if (id) this.#switchTo(id);
+  }
+
+  /**
+   * Empties the cart to start a new one.
+   */
+  startNewCart() {
+    this.#switchTo(null);
+  }
+
+  /**
+   * Renames the saved cart of the event target.
+   * @param {Event & { target: HTMLInputElement }} event - The change event.
+   */
+  renameCart(event) {
+    const id = this.#getCartId(event.target);
+    const name = event.target.value.trim();
+
+    if (id && name) {
+      savedCarts.rename(id, name);
+    } else {
+      this.#render();
+    }
+  }
+
+  /**
+   * Merges the saved cart of the event target into the selected saved cart.
+   * @param {Event & { target: HTMLSelectElement }} event - The change event.
+   */
+  async mergeCart(event) {
+    const id = this.#getCartId(event.target);
+    const targetId = event.target.value;
+    if (!id || !targetId) return;
+
+    const source = savedCarts.carts.find((cart) => cart.id === id);
+    const target = savedCarts.carts.find((cart) => cart.id === targetId);
+
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const failures = await savedCarts.merge(id, targetId);
+
+      this.#showResult(
+        (this.dataset.mergedText ?? '')
+          .replace('{{ name }}', source?.name ?? '')
+          .replace('{{ target }}', target?.name ?? ''),
+        failures
+      );
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.errorText ?? '', true);
+      this.#render();
+    } finally {
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Deletes the saved cart of the event target.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  deleteCart(event) {
+    const id = this.#getCartId(event.target);
+    if (id) savedCarts.delete(id);
+  }
+
+  /**
+   * @param {string | null} id - The id of the saved cart, null to start a new cart.
+   */
+  async #switchTo(id) {
+    const cart = cartStore.state;
+
+    // The lines of a cart that isn't saved would be lost
+    if (!savedCarts.activeId && cart?.item_count) {
+      this.#showMessage(this.dataset.saveFirstText ?? '', true);
+      this.refs.nameInput.focus();
+      return;
+    }
+
+    this.setAttribute('aria-busy', 'true');
+
+    try {
+      const failures = await savedCarts.switchTo(id);
+      const name = savedCarts.carts.find((savedCart) => savedCart.id === id)?.name;
+
+      this.#showResult(
+        name ? (this.dataset.switchedText ?? '').replace('{{ name }}', name) : (this.dataset.newCartText ?? ''),
+        failures
+      );
+    } catch (error) {
+      console.error(error);
+      this.#showMessage(this.dataset.errorText ?? '', true);
+    } finally {
+      this.removeAttribute('aria-busy');
+    }
+  }
+
+  #render = () => {
+    const { current, list, itemTemplate } = this.refs;
+    const { carts, activeId } = savedCarts;
+    const active = carts.find((cart) => cart.id === activeId);
+
+    current.textContent = active?.name ?? this.dataset.unsavedText ?? '';
+
+    list.replaceChildren(
+      ...carts.map((cart) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const item = /** @type {HTMLElement} */ (fragment.firstElementChild);
+        const isActive = cart.id === activeId;
+        const count = cart.lines.reduce((total, line) => total + line.quantity, 0);
+
+        item.dataset.id = cart.id;
+        item.classList.toggle('saved-carts__item--active', isActive);
+        if (isActive) item.setAttribute('aria-current', 'true');
+
+        const nameInput = item.querySelector('[data-name]');
+        if (nameInput instanceof HTMLInputElement) nameInput.value = cart.name;
+
+        const countText = item.querySelector('[data-count]');
+        if (countText) countText.textContent = (this.dataset.countText ?? '').replace('{{ count }}', String(count));
+
+        const switchButton = item.querySelector('[data-switch]');
+        if (switchButton instanceof HTMLElement) switchButton.hidden = isActive;
+
+        const mergeSelect = item.querySelector('[data-merge]');
+        if (mergeSelect instanceof HTMLSelectElement) {
+          const otherCarts = carts.filter((other) => other !== cart);
+
+          mergeSelect.append(...otherCarts.map((other) => new Option(other.name, other.id)));
+          mergeSelect.hidden = !otherCarts.length;
+        }
+
+        return item;
+      })
+    );
+
+    list.hidden = !carts.length;
+  };
+
+  /**
+   * @param {string} text - The message.
+   * @param {SavedCartFailure[]} failures - The lines that couldn't be added.
+   */
+  #showResult(text, failures) {
+    if (!failures.length) {
+      this.#showMessage(text);
+      return;
+    }
+
+    const lines = failures.map(({ line, message }) => `${line.title}: ${message}`);
+
+    this.#showMessage(`${text} ${(this.dataset.failedText ?? '').replace('{{ lines }}', lines.join(', '))}`, true);
+  }
+
+  /**
+   * @param {string} text - The message.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #showMessage(text, isError = false) {
+    const { message } = this.refs;
+
+    message.textContent = text;
+    message.classList.toggle('saved-carts__message--error', isError);
+  }
+
+  /**
+   * @param {Element} element - An element of a saved cart in the list.
+   * @returns {string | undefined} The id of the saved cart.
+   */
+  #getCartId(element) {
+    const item = element.closest('[data-id]');
+
+    return item instanceof HTMLElement ? item.dataset.id : undefined;
+  }
+}
+
+if (!customElements.get('saved-carts-component')) {
+  customElements.define('saved-carts-component', SavedCartsComponent);
+}
@@ -0,0 +1,342 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SavedForLaterUpdateEvent } from '@theme/events';
+import { cartStore, getCartItemsSectionIds, CartError, CartOfflineError } from '@theme/cart';
+import { formatCents, fetchProduct } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+// The local storage key of the items saved for later
+const STORAGE_KEY = 'theme:saved-for-later';
+
+/**
+ * A cart line moved to the saved for later list. The price, availability and image are refreshed from the product
+ * whenever the list is shown.
+ *
+ * @typedef {import('./cart-undo').RemovedLine & {
+ *   id: string,
+ *   handle: string,
+ *   url: string,
+ *   image: string | null,
+ *   price: number,
+ *   available: boolean,
+ * }} SavedForLaterItem
+ */
+
+/**
+ * The parts of the product JSON used to refresh the items.
+ *
+ * @typedef {object} ProductJSON
+ * @property {string} title - The product title.
+ * @property {string | null} featured_image - The product image URL.
+ * @property {{ id: number, price: number, available: boolean, featured_image: { src: string } | null }[]} variants - The
+ * variants.
+ */
+
+/**
+ * A custom element that lists the cart lines saved for later, and moves them back to the cart.
+ *
+ * The items are kept in the browser, so the list is rendered there. Section re-renders skip it.
+ *
+ * @typedef {object} SavedForLaterRefs
+ * @property {HTMLUListElement} list - The list of items.
+ * @property {HTMLTemplateElement} itemTemplate - The template of an item in the list.
+ *
+ * @extends {Component<SavedForLaterRefs>}
+ */
+export class SavedForLaterComponent extends Component {
+  requiredRefs = ['list', 'itemTemplate'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.addEventListener('storage', this.#handleStorage);
+    this.#render();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.savedForLaterUpdate, this.#render);
+    window.removeEventListener('storage', this.#handleStorage);
+  }
+
+  /**
+   * Saves a line removed from the cart for later. Saving the same variant again adds up the quantities.
+   * @param {Omit<SavedForLaterItem, 'id' | 'available'>} line - The line.
+   */
+  add(line) {
+    const items = readItems();
+    const key = getLineKey(line);
+    const existing = items.find((item) => getLineKey(item) === key);
+
+    if (existing) {
+      existing.quantity += line.quantity;
+    } else {
+      items.unshift({ ...line, id: `${Date.now()}-${Math.random().toString(36).slice(2)}`, available: true });
+    }
+
+    updateItems(items);
+  }
+
+  /**
+   * Adds the item of the event target back to the cart, with its quantity and properties.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  async moveToCart(event) {
+    const element = this.#getItemElement(event.target);
+    const item = readItems().find(({ id }) => id === element?.dataset.id);
+    if (!element || !item) return;
+
+    const { variantId, quantity, properties, sellingPlan, title } = item;
+
+    this.#showError(element, '');
+    element.setAttribute('aria-busy', 'true');
+
+    try {
+      await cartStore.add(
+        {
+          items: [
+            {
+              id: variantId,
+              quantity,
+              ...(properties && { properties }),
+              ...(sellingPlan && { selling_plan: sellingPlan }),
+            },
+          ],
+        },
+        {
+          target: this,
+          sourceId: this.id,
+          source: 'saved-for-later-component',
+          sections: getCartItemsSectionIds(),
+          label: title,
+        }
+      );
+
+      removeItem(item.id);
+    } catch (error) {
+      // A queued item is added once the connection is back
+      if (error instanceof CartOfflineError) {
+        removeItem(item.id);
+      } else if (error instanceof CartError) {
+        this.#showError(element, error.message);
+      } else {
+        console.error(error);
+      }
+    } finally {
+      element.removeAttribute('aria-busy');
+    }
+  }
+
+  /**
+   * Removes the item of the event target from the list.
+   * @param {Event & { target: HTMLElement }} event - The click event.
+   */
+  removeItem(event) {
+    const id = this.#getItemElement(event.target)?.dataset.id;
+    if (id) removeItem(id);
+  }
+
+  #handleStorage = (/** @type {StorageEvent} */ event) => {
+    if (event.key === STORAGE_KEY) this.#render();
+  };
+
+  #render = () => {
+    const { list, itemTemplate } = this.refs;
+    const items = readItems();
+
+    list.replaceChildren(
+      ...items.map((item) => {
+        const fragment = /** @type {DocumentFragment} */ (itemTemplate.content.cloneNode(true));
+        const element = /** @type {HTMLElement} */ (fragment.firstElementChild);
+
+        element.dataset.id = item.id;
+        this.#renderItem(element, item);
+        this.#refreshItem(element, item);
+
+        return element;
+      })
+    );
+
+    this.hidden = !items.length;
+  };
+
+  /**
+   * @param {HTMLElement} element - The item element.
+   * @param {SavedForLaterItem} item - The item.
+   */
+  #renderItem(element, item) {
+    for (const link of element.querySelectorAll('[data-link]')) {
+      if (link instanceof HTMLAnchorElement) link.href = item.url;
+    }
+
+    const image = element.querySelector('[data-image]');
+    if (image instanceof HTMLImageElement) {
+      image.hidden = !item.image;
+      if (item.image) image.src = item.image;
+    }
+
+    const title = element.querySelector('[data-title]');
+    if (title) title.textContent = item.title;
+
+    const quantity = element.querySelector('[data-quantity]');
+    if (quantity)
+      quantity.textContent = (this.dataset.quantityText ?? '').replace('{{ quantity }}', String(item.quantity));
+
+    const price = element.querySelector('[data-price]');
+    if (price) {
+      const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+      const currency = this.dataset.currency ?? '';
+
+      price.innerHTML = vatDisplay.renderPrice(item.price * item.quantity, (value) =>
+        formatCents(value, moneyFormat, currency)
+      );
+    }
+
+    const availability = element.querySelector('[data-availability]');
+    if (availability) {
+      availability.textContent = (item.available ? this.dataset.inStockText : this.dataset.soldOutText) ?? '';
+      availability.classList.toggle('saved-for-later__availability--sold-out', !item.available);
+    }
+
+    const moveButton = element.querySelector('[data-move]');
+    if (moveButton instanceof HTMLButtonElement) moveButton.disabled = !item.available;
+
+    const removeButton = element.querySelector('[data-remove]');
+    if (removeButton) {
+      removeButton.setAttribute('aria-label', (this.dataset.removeText ?? '').replace('[title]', item.title));
+    }
+  }
+
+  /**
+   * Refreshes the price, availability and image of an item from the product, and stores them for the next time.
+   * @param {HTMLElement} element - The item element.
+   * @param {SavedForLaterItem} item - The item.
+   */
+  async #refreshItem(element, item) {
+    /** @type {ProductJSON | null} */
+    let product;
+
+    try {
+      product = await fetchProduct(item.handle);
+    } catch {
+      // Offline, the stored price and availability are shown until the list is rendered again
+      return;
+    }
+
+    const variant = product?.variants.find(({ id }) => id === item.variantId);
+    const image = variant?.featured_image?.src ?? product?.featured_image;
+
+    /** @type {SavedForLaterItem} */
+    const refreshedItem = variant
+      ? {
+          ...item,
+          price: variant.price,
+          available: variant.available,
+          image: image ? getImageUrl(image) : item.image,
+        }
+      : // The product or variant was deleted
+        { ...item, available: false };
+
+    if (JSON.stringify(refreshedItem) === JSON.stringify(item)) return;
+
+    if (element.isConnected) this.#renderItem(element, refreshedItem);
+
+    const items = readItems();
+    const index = items.findIndex(({ id }) => id === item.id);
+
+    if (index !== -1) {
+      items[index] = { ...refreshedItem, quantity: items[index]?.quantity ?? item.quantity };
+      writeItems(items);
+    }
+  }
+
+  /**
+   * @param {HTMLElement} element - The item element.
+   * @param {string} message - The error message, empty to hide the error.
+   */
+  #showError(element, message) {
+    const error = element.querySelector('[data-error]');
+    if (!(error instanceof HTMLElement)) return;
+
+    error.textContent = message;
+    error.hidden = !message;
+  }
+
+  /**
+   * @param {Element} element - An element of an item in the list.
+   * @returns {HTMLElement | null} The item element.
+   */
+  #getItemElement(element) {
+    const item = element.closest('[data-id]');
+
+    return item instanceof HTMLElement ? item : null;
+  }
+}
+
+/**
+ * @param {string} src - The URL of a product image.
+ * @returns {string} The URL of the image in the size of the list.
+ */
+function getImageUrl(src) {
+  const url = new URL(src, window.location.href);
+  url.searchParams.set('width', '250');
+
+  return url.toString();
+}
+
+/**
+ * @param {Pick<SavedForLaterItem, 'variantId' | 'properties' | 'sellingPlan'>} item - The item.
+ * @returns {string} A key that's the same for items that are the same line in the cart.
+ */
+function getLineKey({ variantId, properties, sellingPlan }) {
+  return JSON.stringify([variantId, properties, sellingPlan]);
+}
+
+/**
+ * @param {string} id - The id of the item.
+ */
+function removeItem(id) {
+  updateItems(readItems().filter((item) => item.id !== id));
+}
+
+/**
+ * Stores the items and tells the lists on the page.
+ * @param {SavedForLaterItem[]} items - The items.
+ */
+function updateItems(items) {
+  writeItems(items);
+  document.dispatchEvent(new SavedForLaterUpdateEvent(items));
+}
+
+/**
+ * @returns {SavedForLaterItem[]} The items saved for later, the most recent first.
+ */
+function readItems() {
+  try {
+    const items = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+
+    return Array.isArray(items) ? items : [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * @param {SavedForLaterItem[]} items - The items saved for later.
+ */
+function writeItems(items) {
+  try {
+    if (items.length) {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(items));
+    } else {
+      localStorage.removeItem(STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error('Failed to save the items for later:', error);
+  }
+}
+
+if (!customElements.get('saved-for-later-component')) {
+  customElements.define('saved-for-later-component', SavedForLaterComponent);
+}
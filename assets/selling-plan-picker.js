@@ -0,0 +1,140 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, SellingPlanUpdateEvent, VariantUpdateEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+
+/**
+ * A custom element that lets the customer choose between a one-time purchase and the selling plans of the selected
+ * variant, e.g. a delivery every month. The product form submits the selected plan, and `product-price` shows its
+ * price.
+ *
+ * Each variant can have different plans, so the picker is re-rendered on variant changes and keeps the selected plan
+ * when the new variant has it.
+ *
+ * @typedef {object} SellingPlanPickerRefs
+ * @property {HTMLInputElement[]} purchaseOptions - The radios of the one-time purchase and the selling plan groups.
+ * @property {HTMLSelectElement[]} [planSelects] - The plans of each selling plan group.
+ * @property {HTMLInputElement} sellingPlanInput - The selling plan submitted with the product form.
+ * @property {HTMLTemplateElement[]} [priceTemplates] - The price of each plan.
+ *
+ * @extends {Component<SellingPlanPickerRefs>}
+ */
+class SellingPlanPickerComponent extends Component {
+  requiredRefs = ['purchaseOptions', 'sellingPlanInput'];
+
+  #abortController = new AbortController();
+
+  /**
+   * The selection before a variant change, selected again when the new variant has it.
+   * @type {{ groupId: string, sellingPlanId: string } | undefined}
+   */
+  #previousSelection;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+    const target = this.closest('.shopify-section, dialog');
+
+    target?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+
+    // A plan can be selected when the page loads, e.g. when the product requires one
+    if (this.refs.sellingPlanInput.value) this.#update();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  updatedCallback() {
+    super.updatedCallback();
+
+    if (this.#previousSelection) {
+      this.#restoreSelection(this.#previousSelection);
+      this.#previousSelection = undefined;
+    }
+
+    this.#update();
+  }
+
+  /**
+   * Selects the checked purchase option, with the plan chosen for its group.
+   */
+  select() {
+    this.#update();
+  }
+
+  /**
+   * Updates the submitted selling plan and tells `product-price` about it.
+   */
+  #update() {
+    const { purchaseOptions, planSelects = [], sellingPlanInput, priceTemplates = [] } = this.refs;
+    const groupId = purchaseOptions.find((option) => option.checked)?.value ?? '';
+    const planSelect = groupId ? planSelects.find((select) => select.dataset.groupId === groupId) : undefined;
+    const sellingPlanId = planSelect?.value ?? '';
+
+    sellingPlanInput.value = sellingPlanId;
+    sellingPlanInput.disabled = !sellingPlanId;
+
+    const priceTemplate = priceTemplates.find((template) => template.dataset.sellingPlanId === sellingPlanId);
+
+    this.dispatchEvent(
+      new SellingPlanUpdateEvent(sellingPlanId || null, {
+        productId: this.dataset.productId ?? '',
+        priceHTML: sellingPlanId && priceTemplate ? priceTemplate.innerHTML : null,
+      })
+    );
+  }
+
+  /**
+   * Selects the group and plan selected before, if the new variant has them.
+   * @param {{ groupId: string, sellingPlanId: string }} selection - The previous selection.
+   */
+  #restoreSelection({ groupId, sellingPlanId }) {
+    const { purchaseOptions, planSelects = [] } = this.refs;
+    const option = purchaseOptions.find((option) => option.value === groupId);
+
+    // Otherwise the selection rendered for the new variant is kept
+    if (!option) return;
+
+    option.checked = true;
+
+    const planSelect = planSelects.find((select) => select.dataset.groupId === groupId);
+
+    if (planSelect && Array.from(planSelect.options).some((planOption) => planOption.value === sellingPlanId)) {
+      planSelect.value = sellingPlanId;
+    }
+  }
+
+  /**
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newPicker = event.detail.data.html.querySelector('selling-plan-picker-component');
+    if (!newPicker) return;
+
+    const { purchaseOptions, sellingPlanInput } = this.refs;
+
+    this.#previousSelection = {
+      groupId: purchaseOptions.find((option) => option.checked)?.value ?? '',
+      sellingPlanId: sellingPlanInput.value,
+    };
+
+    morph(this, newPicker);
+
+    // Runs after the other listeners of the variant update, so `product-price` shows the price of the new variant
+    // before the price of the plan replaces it
+    queueMicrotask(() => this.updatedCallback());
+  };
+}
+
+if (!customElements.get('selling-plan-picker-component')) {
+  customElements.define('selling-plan-picker-component', SellingPlanPickerComponent);
+}
@@ -0,0 +1,359 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { debounce, formatCents } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+// The local storage key of the last address rates were estimated for
+const STORAGE_KEY = 'theme:shipping-estimator';
+
+// Shopify calculates rates in the background, so they're polled until they're ready
+const POLL_DELAY = 500;
+const POLL_ATTEMPTS = 10;
+
+/**
+ * The address shipping rates are estimated for.
+ *
+ * @typedef {object} ShippingAddress
+ * @property {string} country - The country, as the value of `country_option_tags`.
+ * @property {string} province - The province, empty for countries without provinces.
+ * @property {string} zip - The postal code.
+ */
+
+/**
+ * A shipping rate, as returned by the Ajax Cart API.
+ *
+ * @typedef {object} ShippingRate
+ * @property {string} name - The name of the rate.
+ * @property {string} [presentment_name] - The name of the rate in the language of the storefront.
+ * @property {string} price - The price, as a decimal string.
+ * @property {[number, number] | number[] | null} [delivery_days] - The minimum and maximum delivery days.
+ */
+
+/**
+ * The shipping rates aren't ready after the last poll.
+ */
+class ShippingRatesPendingError extends Error {
+  constructor() {
+    super('Shipping rates are still being calculated');
+    this.name = 'ShippingRatesPendingError';
+  }
+}
+
+/**
+ * Shopify rejected the address, e.g. a postal code that doesn't exist in the country.
+ */
+class ShippingAddressError extends Error {
+  /**
+   * @param {string} message - The errors of the address, readable for customers.
+   */
+  constructor(message) {
+    super(message);
+    this.name = 'ShippingAddressError';
+  }
+}
+
+/**
+ * A custom element that estimates the shipping rates of the cart for a country and postal code.
+ *
+ * The last address is remembered, and the rates are estimated again when the cart changes. Section re-renders skip
+ * the element, so the rates stay in place until the new estimate is ready.
+ *
+ * @typedef {object} ShippingEstimatorRefs
+ * @property {HTMLSelectElement} country - The country select.
+ * @property {HTMLElement} provinceField - The wrapper of the province select, hidden for countries without provinces.
+ * @property {HTMLSelectElement} province - The province select.
+ * @property {HTMLInputElement} zip - The postal code input.
+ * @property {HTMLButtonElement} submitButton - The button that estimates the rates.
+ * @property {HTMLUListElement} rates - The list of rates.
+ * @property {HTMLElement} message - The status or error message.
+ *
+ * @extends {Component<ShippingEstimatorRefs>}
+ */
+class ShippingEstimatorComponent extends Component {
+  requiredRefs = ['country', 'provinceField', 'province', 'zip', 'submitButton', 'rates', 'message'];
+
+  /** @type {AbortController | null} */
+  #activeFetch = null;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const address = readAddress();
+    const { country, province, zip } = this.refs;
+
+    country.value = address?.country ?? this.dataset.defaultCountry ?? '';
+    if (!country.value) country.selectedIndex = 0;
+
+    this.#renderProvinces();
+
+    if (address) {
+      province.value = address.province;
+      zip.value = address.zip;
+      this.#estimate(address);
+    }
+
+    document.addEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.addEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.cartUpdate, this.#handleCartUpdate);
+    document.removeEventListener(ThemeEvents.discountUpdate, this.#handleCartUpdate);
+    this.#activeFetch?.abort();
+  }
+
+  /**
+   * Shows the provinces of the chosen country.
+   */
+  changeCountry() {
+    this.#renderProvinces();
+  }
+
+  /**
+   * Estimates the rates for the entered address and remembers it.
+   * @param {SubmitEvent} event - The submit event.
+   */
+  estimate(event) {
+    event.preventDefault();
+
+    const { country, province, zip } = this.refs;
+
+    /** @type {ShippingAddress} */
+    const address = {
+      country: country.value,
+      province: this.refs.provinceField.hidden ? '' : province.value,
+      zip: zip.value.trim(),
+    };
+
+    writeAddress(address);
+    this.#estimate(address);
+  }
+
+  #handleCartUpdate = debounce(() => {
+    const address = readAddress();
+    if (address) this.#estimate(address);
+  }, 300);
+
+  /**
+   * @param {ShippingAddress} address - The address.
+   */
+  async #estimate(address) {
+    const { submitButton } = this.refs;
+
+    this.#activeFetch?.abort();
+
+    const abortController = new AbortController();
+    this.#activeFetch = abortController;
+
+    this.setAttribute('aria-busy', 'true');
+    submitButton.disabled = true;
+    this.#showMessage(this.dataset.calculatingText ?? '');
+
+    try {
+      const rates = await fetchShippingRates(address, abortController.signal);
+      if (abortController.signal.aborted) return;
+
+      this.#renderRates(rates);
+      this.#showMessage(rates.length ? '' : (this.dataset.noRatesText ?? ''));
+    } catch (error) {
+      if (abortController.signal.aborted) return;
+
+      this.#renderRates([]);
+
+      if (error instanceof ShippingRatesPendingError) {
+        this.#showMessage(this.dataset.pendingText ?? '');
+      } else if (error instanceof ShippingAddressError) {
+        this.#showMessage(error.message, true);
+      } else {
+        console.error(error);
+        this.#showMessage(this.dataset.errorText ?? '', true);
+      }
+    } finally {
+      if (this.#activeFetch === abortController) {
+        this.#activeFetch = null;
+        this.removeAttribute('aria-busy');
+        submitButton.disabled = false;
+      }
+    }
+  }
+
+  #renderProvinces() {
+    const { country, province, provinceField } = this.refs;
+
+    /** @type {[string, string][]} */
+    let provinces = [];
+
+    try {
+      provinces = JSON.parse(country.selectedOptions[0]?.dataset.provinces || '[]');
+    } catch {
+      provinces = [];
+    }
+
+    province.replaceChildren(...provinces.map(([value, label]) => new Option(label, value)));
+    provinceField.hidden = !provinces.length;
+    province.disabled = !provinces.length;
+  }
+
+  /**
+   * @param {ShippingRate[]} rates - The rates.
+   */
+  #renderRates(rates) {
+    const { rates: list } = this.refs;
+    const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+    const currency = this.dataset.currency ?? '';
+
+    list.replaceChildren(
+      ...rates.map((rate) => {
+        const item = document.createElement('li');
+        item.className = 'shipping-estimator__rate';
+
+        const name = document.createElement('span');
+        name.className = 'shipping-estimator__rate-name';
+        name.textContent = rate.presentment_name || rate.name;
+
+        const price = document.createElement('span');
+        price.className = 'shipping-estimator__rate-price';
+
+        const cents = Math.round(Number(rate.price) * 100);
+        if (cents > 0) {
+          price.innerHTML = vatDisplay.renderPrice(cents, (value) => formatCents(value, moneyFormat, currency));
+        } else {
+          price.textContent = this.dataset.freeText ?? '';
+        }
+
+        item.append(name, price);
+
+        const deliveryText = this.#getDeliveryText(rate.delivery_days);
+        if (deliveryText) {
+          const delivery = document.createElement('span');
+          delivery.className = 'shipping-estimator__rate-delivery';
+          delivery.textContent = deliveryText;
+          item.append(delivery);
+        }
+
+        return item;
+      })
+    );
+
+    list.hidden = !rates.length;
+  }
+
+  /**
+   * @param {ShippingRate['delivery_days']} days - The minimum and maximum delivery days.
+   * @returns {string} The delivery estimate, empty if the rate has none.
+   */
+  #getDeliveryText(days) {
+    const [min, max] = days ?? [];
+    if (typeof min !== 'number') return '';
+
+    if (typeof max !== 'number' || max === min) {
+      return (this.dataset.deliveryDaysText ?? '').replace('{{ count }}', String(min));
+    }
+
+    return (this.dataset.deliveryRangeText ?? '').replace('{{ min }}', String(min)).replace('{{ max }}', String(max));
+  }
+
+  /**
+   * @param {string} text - The message, empty to hide it.
+   * @param {boolean} [isError] - Whether the message is an error.
+   */
+  #showMessage(text, isError = false) {
+    const { message } = this.refs;
+
+    message.textContent = text;
+    message.classList.toggle('shipping-estimator__message--error', isError);
+  }
+}
+
+/**
+ * Asks Shopify to calculate the shipping rates of the cart for an address, and polls until they're ready.
+ * @param {ShippingAddress} address - The address.
+ * @param {AbortSignal} signal - Aborts the requests.
+ * @returns {Promise<ShippingRate[]>} The rates.
+ * @throws {ShippingRatesPendingError} When the rates aren't ready after the last poll.
+ */
+async function fetchShippingRates(address, signal) {
+  const params = new URLSearchParams({
+    'shipping_address[country]': address.country,
+    'shipping_address[province]': address.province,
+    'shipping_address[zip]': address.zip,
+  });
+
+  const prepareResponse = await fetch(`${Theme.routes.cart_url}/prepare_shipping_rates.json?${params}`, {
+    method: 'POST',
+    headers: { Accept: 'application/json' },
+    signal,
+  });
+
+  if (!prepareResponse.ok) throw await getResponseError(prepareResponse);
+
+  for (let attempt = 0; attempt < POLL_ATTEMPTS; attempt++) {
+    const response = await fetch(`${Theme.routes.cart_url}/async_shipping_rates.json?${params}`, {
+      headers: { Accept: 'application/json' },
+      signal,
+    });
+
+    if (!response.ok) throw await getResponseError(response);
+
+    // The response is empty, or `null`, while the rates are being calculated
+    const text = await response.text();
+    const data = text ? JSON.parse(text) : null;
+    if (data?.shipping_rates) return data.shipping_rates;
+
+    await new Promise((resolve) => setTimeout(resolve, POLL_DELAY * (attempt + 1)));
+    signal.throwIfAborted();
+  }
+
+  throw new ShippingRatesPendingError();
+}
+
+/**
+ * Invalid addresses are answered with the errors per field, e.g. `{ "zip": ["is not valid for Denmark"] }`.
+ * @param {Response} response - The failed response.
+ * @returns {Promise<Error>} The error, a `ShippingAddressError` for invalid addresses.
+ */
+async function getResponseError(response) {
+  try {
+    /** @type {Record<string, string[] | string>} */
+    const errors = await response.json();
+    const messages = Object.entries(errors).flatMap(([field, fieldErrors]) =>
+      (Array.isArray(fieldErrors) ? fieldErrors : [fieldErrors]).map((text) => `${field} ${text}`)
+    );
+
+    if (response.status === 422 && messages.length) return new ShippingAddressError(messages.join('. '));
+  } catch {
+    // The response isn't JSON
+  }
+
+  return new Error(`Shipping rates request failed with status ${response.status}`);
+}
+
+/**
+ * @returns {ShippingAddress | null} The last address rates were estimated for.
+ */
+function readAddress() {
+  try {
+    const address = JSON.parse(localStorage.getItem(STORAGE_KEY) ?? 'null');
+
+    return address && typeof address.country === 'string' ? address : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * @param {ShippingAddress} address - The address.
+ */
+function writeAddress(address) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(address));
+  } catch {
+    // Storage can be unavailable, e.g. in private browsing. The address then isn't remembered.
+  }
+}
+
+if (!customElements.get('shipping-estimator-component')) {
+  customElements.define('shipping-estimator-component', ShippingEstimatorComponent);
+}
@@ -0,0 +1,254 @@
+import { Component } from '@theme/component';
+import { ThemeEvents, VariantUpdateEvent, CartAddEvent } from '@theme/events';
+import { morph } from '@theme/morph';
+import { ADD_TO_CART_TEXT_ANIMATION_DURATION } from '@theme/product-form';
+
+/**
+ * A custom element that shows a buy bar once the product form is scrolled past, and hides it again when the form or the
+ * footer is in view.
+ *
+ * The bar mirrors the selected variant, its price and quantity. Its button submits the product form, and picking a
+ * variant selects its options in the variant picker, so both work exactly like the form itself.
+ *
+ * @typedef {object} StickyAddToCartRefs
+ * @property {HTMLSelectElement} [variantSelect] - The variants of the product.
+ * @property {HTMLInputElement} quantityInput - The quantity.
+ * @property {HTMLButtonElement} addToCartButton - The button that submits the product form.
+ * @property {HTMLElement} error - The error of the last add to cart.
+ *
+ * @extends {Component<StickyAddToCartRefs>}
+ */
+class StickyAddToCartComponent extends Component {
+  requiredRefs = ['quantityInput', 'addToCartButton', 'error'];
+
+  #abortController = new AbortController();
+
+  /** @type {IntersectionObserver | undefined} */
+  #intersectionObserver;
+
+  /** @type {MutationObserver | undefined} */
+  #errorObserver;
+
+  /**
+   * Whether the product form and the footer are in view, or scrolled past for the form.
+   */
+  #visibility = { formInView: true, formScrolledPast: false, footerInView: false };
+
+  /** @type {number | undefined} */
+  #addedTimeout;
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const productForm = this.#productForm;
+
+    // The bar is only for the product page, not e.g. the quick add dialog
+    if (!productForm || this.closest('dialog')) return;
+
+    const { signal } = this.#abortController;
+    const section = this.closest('.shopify-section');
+
+    section?.addEventListener(ThemeEvents.variantUpdate, this.#onVariantUpdate, { signal });
+    productForm.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#syncQuantity, { signal });
+    productForm.addEventListener(ThemeEvents.cartUpdate, this.#onCartAdd, { signal });
+
+    this.#intersectionObserver = new IntersectionObserver(this.#onIntersection);
+    this.#intersectionObserver.observe(productForm);
+
+    const footer = document.querySelector('.shopify-section-group-footer-group, footer');
+    if (footer) this.#intersectionObserver.observe(footer);
+
+    this.#errorObserver = new MutationObserver(this.#syncError);
+    this.#observeError();
+    this.#syncQuantity();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+    this.#intersectionObserver?.disconnect();
+    this.#errorObserver?.disconnect();
+    clearTimeout(this.#addedTimeout);
+  }
+
+  /**
+   * Selects the options of the picked variant in the variant picker, which loads the variant like any other change.
+   * @param {Event} event - The change event of the variant select.
+   */
+  selectVariant(event) {
+    if (!(event.target instanceof HTMLSelectElement)) return;
+
+    const option = event.target.selectedOptions[0];
+    const variantPicker = /** @type {import('./variant-picker').default | null | undefined} */ (
+      this.closest('.shopify-section')?.querySelector('variant-picker')
+    );
+    if (!option || !variantPicker) return;
+
+    /** @type {(HTMLInputElement | HTMLSelectElement)[]} */
+    const changedElements = [];
+
+    for (const id of (option.dataset.optionValueIds ?? '').split(',')) {
+      const element = variantPicker.querySelector(`[data-option-value-id="${id}"]`);
+
+      if (element instanceof HTMLInputElement && !element.checked) {
+        changedElements.push(element);
+      } else if (element instanceof HTMLOptionElement && element.parentElement instanceof HTMLSelectElement) {
+        if (element.parentElement.value === element.value) continue;
+
+        element.parentElement.value = element.value;
+        changedElements.push(element.parentElement);
+      }
+    }
+
+    const lastChanged = changedElements.pop();
+    if (!lastChanged) return;
+
+    for (const element of changedElements) variantPicker.updateSelectedOption(element);
+    if (lastChanged instanceof HTMLInputElement) lastChanged.checked = true;
+
+    // The picker reads all selected options on change, so one change event loads the variant
+    lastChanged.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  /**
+   * Sets the quantity of the product form, within its quantity rules.
+   */
+  setQuantity() {
+    const quantitySelector = this.#quantitySelector;
+    if (!quantitySelector) return;
+
+    quantitySelector.setValue(this.refs.quantityInput.value);
+    quantitySelector.updateCartQuantity();
+    quantitySelector.onQuantityChange();
+  }
+
+  /**
+   * Shows the quantity of the product form, with its quantity rules.
+   */
+  #syncQuantity = () => {
+    const mainInput = this.#quantitySelector?.quantityInput;
+    if (!mainInput) return;
+
+    const { quantityInput } = this.refs;
+
+    quantityInput.min = mainInput.min;
+    quantityInput.max = mainInput.max;
+    quantityInput.step = mainInput.step;
+    quantityInput.value = mainInput.value;
+  };
+
+  /**
+   * Shows the add to cart error of the product form, which is out of view while the bar is shown.
+   */
+  #syncError = () => {
+    const formError = this.#formError;
+    const message = formError && !formError.classList.contains('hidden') ? formError.textContent?.trim() : '';
+
+    this.refs.error.textContent = message ?? '';
+  };
+
+  #observeError() {
+    const formError = this.#formError;
+
+    this.#errorObserver?.disconnect();
+    if (!formError) return;
+
+    this.#errorObserver?.observe(formError, {
+      attributes: true,
+      attributeFilter: ['class'],
+      childList: true,
+      characterData: true,
+      subtree: true,
+    });
+    this.#syncError();
+  }
+
+  /**
+   * @param {IntersectionObserverEntry[]} entries - The changed entries.
+   */
+  #onIntersection = (entries) => {
+    for (const entry of entries) {
+      if (entry.target === this.#productForm) {
+        this.#visibility.formInView = entry.isIntersecting;
+        this.#visibility.formScrolledPast = !entry.isIntersecting && entry.boundingClientRect.bottom <= 0;
+      } else {
+        this.#visibility.footerInView = entry.isIntersecting;
+      }
+    }
+
+    const { formInView, formScrolledPast, footerInView } = this.#visibility;
+    const visible = !formInView && formScrolledPast && !footerInView;
+
+    this.toggleAttribute('data-visible', visible);
+    this.inert = !visible;
+  };
+
+  /**
+   * Re-renders the bar for the new variant, keeping the quantity of the form.
+   * @param {VariantUpdateEvent} event - The variant update event.
+   */
+  #onVariantUpdate = (event) => {
+    if (event.detail.data.newProduct) {
+      this.dataset.productId = event.detail.data.newProduct.id;
+    } else if (event.detail.data.productId !== this.dataset.productId) {
+      return;
+    }
+
+    const newBar = event.detail.data.html.querySelector('sticky-add-to-cart-component');
+    if (newBar) morph(this, newBar);
+
+    // The product form updates its quantity rules in its own listener
+    queueMicrotask(() => {
+      this.updatedCallback();
+      this.#syncQuantity();
+      this.#observeError();
+    });
+  };
+
+  /**
+   * Shows that the product was added, like the button of the form.
+   * @param {CartAddEvent} event - The cart add event.
+   */
+  #onCartAdd = (event) => {
+    if (!(event instanceof CartAddEvent) || event.detail.data.didError) return;
+
+    const { addToCartButton } = this.refs;
+
+    clearTimeout(this.#addedTimeout);
+    addToCartButton.classList.add('sticky-add-to-cart__button--added');
+
+    this.#addedTimeout = setTimeout(() => {
+      this.refs.addToCartButton.classList.remove('sticky-add-to-cart__button--added');
+    }, ADD_TO_CART_TEXT_ANIMATION_DURATION);
+  };
+
+  /**
+   * @returns {HTMLElement | null} The product form the bar submits.
+   */
+  get #productForm() {
+    const form = document.getElementById(this.dataset.productFormId ?? '');
+
+    return form?.closest('product-form-component') ?? null;
+  }
+
+  /**
+   * @returns {import('./component-quantity-selector').QuantitySelectorComponent | null} The quantity of the form.
+   */
+  get #quantitySelector() {
+    return /** @type {import('./component-quantity-selector').QuantitySelectorComponent | null} */ (
+      this.#productForm?.querySelector('quantity-selector-component') ?? null
+    );
+  }
+
+  /**
+   * @returns {HTMLElement | null} The add to cart error of the form.
+   */
+  get #formError() {
+    return this.#productForm?.querySelector('[ref="addToCartTextError"]') ?? null;
+  }
+}
+
+if (!customElements.get('sticky-add-to-cart-component')) {
+  customElements.define('sticky-add-to-cart-component', StickyAddToCartComponent);
+}
@@ -158,6 +158,39 @@ export function fetchConfig(type = 'json', config = {}) {
   };
 }
 
+/**
+ * The product requests, shared by the modules on the page and made once per page load.
+ * @type {Map<string, Promise<any>>}
+ */
+const productRequests = new Map();
+
+/**
+ * Fetches a product from its JSON endpoint, or as rendered by a section. Each product is requested once per page load,
+ * failed requests are tried again on the next call.
+ * @param {string} handle - The product handle.
+ * @param {string} [sectionId] - The section that renders the product, its HTML is returned instead of the JSON.
+ * @returns {Promise<any>} The product JSON or the section HTML, null if the product doesn't exist anymore.
+ */
+export function fetchProduct(handle, sectionId) {
+  const url = `${Shopify.routes.root}products/${encodeURIComponent(handle)}`;
+  const requestUrl = sectionId ? `${url}?section_id=${encodeURIComponent(sectionId)}` : `${url}.js`;
+  let request = productRequests.get(requestUrl);
+
+  if (!request) {
+    request = fetch(requestUrl).then((response) => {
+      if (response.status === 404) return null;
+      if (!response.ok) throw new Error(`Server returned ${response.status}`);
+
+      return sectionId ? response.text() : response.json();
+    });
+
+    request.catch(() => productRequests.delete(requestUrl));
+    productRequests.set(requestUrl, request);
+  }
+
+  return request;
+}
+
 /**
  * Creates a debounced function that delays calling the provided function (fn)
  * until after wait milliseconds have elapsed since the last time
@@ -257,6 +290,115 @@ export function formatMoney(value) {
   return valueWithNoSpaces;
 }
 
+/**
+ * Formats money, replicating the implementation of the `money` liquid filters
+ * @param {number} cents - The money value in cents (hundredths of one major currency unit)
+ * @param {string} moneyFormat - The shop's money format, e.g. `{{amount_with_comma_separator}} kr`
+ * @param {string} currency - The ISO code of the currency
+ * @returns {string} The formatted money value
+ */
+export function formatCents(cents, moneyFormat, currency) {
+  return moneyFormat.replace(/{{\s*(\w+)\s*}}/g, (_, placeholder) => {
+    if (typeof placeholder !== 'string') return '';
+    if (placeholder === 'currency') return currency;
+
+    let thousandsSeparator = ',';
+    let decimalSeparator = '.';
+    let precision = CURRENCY_DECIMALS[currency.toUpperCase()] ?? DEFAULT_CURRENCY_DECIMALS;
+
+    if (placeholder === 'amount') {
+      // Check first since it's the most common, use defaults.
+    } else if (placeholder === 'amount_no_decimals') {
+      precision = 0;
+    } else if (placeholder === 'amount_with_comma_separator') {
+      thousandsSeparator = '.';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_no_decimals_with_comma_separator') {
+      // Weirdly, this is correct. It uses amount_with_comma_separator's
+      // behaviour but removes decimals, resulting in an unintuitive
+      // output that can't possibly include commas, despite the name.
+      thousandsSeparator = '.';
+      precision = 0;
+    } else if (placeholder === 'amount_no_decimals_with_space_separator') {
+      thousandsSeparator = ' ';
+      precision = 0;
+    } else if (placeholder === 'amount_with_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = ',';
+    } else if (placeholder === 'amount_with_period_and_space_separator') {
+      thousandsSeparator = ' ';
+      decimalSeparator = '.';
+    } else if (placeholder === 'amount_with_apostrophe_separator') {
+      thousandsSeparator = "'";
+      decimalSeparator = '.';
+    }
+
+    const roundedNumber = (cents / 100).toFixed(precision);
+
+    let [a, b] = roundedNumber.split('.');
+    if (!a) a = '0';
+    if (!b) b = '';
+
+    // Split by groups of 3 digits
+    a = a.replace(/\d(?=(\d\d\d)+(?!\d))/g, (digit) => digit + thousandsSeparator);
+
+    return precision <= 0 ? a : a + decimalSeparator + b.padEnd(precision, '0');
+  });
+}
+
+/**
+ * Default currency decimals used in most currenies
+ * @constant {number}
+ */
+const DEFAULT_CURRENCY_DECIMALS = 2;
+
+/**
+ * Decimal precision for currencies that have a non-default precision
+ * @type {Record<string, number>}
+ */
+const CURRENCY_DECIMALS = {
+  BHD: 3,
+  BIF: 0,
+  BYR: 0,
+  CLF: 4,
+  CLP: 0,
+  DJF: 0,
+  GNF: 0,
+  IQD: 3,
+  ISK: 0,
+  JOD: 3,
+  JPY: 0,
+  KMF: 0,
+  KRW: 0,
+  KWD: 3,
+  LYD: 3,
+  MRO: 5,
+  OMR: 3,
+  PYG: 0,
+  RWF: 0,
+  TND: 3,
+  UGX: 0,
+  UYI: 0,
+  UYW: 4,
+  VND: 0,
+  VUV: 0,
+  XAF: 0,
+  XAG: 0,
+  XAU: 0,
+  XBA: 0,
+  XBB: 0,
+  XBC: 0,
+  XBD: 0,
+  XDR: 0,
+  XOF: 0,
+  XPD: 0,
+  XPF: 0,
+  XPT: 0,
+  XSU: 0,
+  XTS: 0,
+  XUA: 0,
+};
+
 /**
  * Check if the document is ready/loaded and call the callback when it is.
  * @param {() => void} callback The function to call when the document is ready.
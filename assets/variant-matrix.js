@@ -0,0 +1,260 @@
+import { Component } from '@theme/component';
+import { QuantitySelectorComponent } from '@theme/component-quantity-selector';
+import { ThemeEvents } from '@theme/events';
+import { cartStore } from '@theme/cart';
+import { formatCents } from '@theme/utilities';
+import { vatDisplay } from '@theme/vat-display';
+
+/**
+ * A custom element that allows the user to select the quantity of a variant in the variant matrix.
+ * Extends QuantitySelectorComponent but allows 0, for the variants that aren't ordered. Any other quantity follows the
+ * quantity rules of the variant, so the minimum is kept in `data-min` rather than in the `min` of the input.
+ *
+ * @extends {QuantitySelectorComponent}
+ */
+class VariantMatrixQuantitySelectorComponent extends QuantitySelectorComponent {
+  /**
+   * Gets current values from DOM, with the minimum of the quantity rule
+   * @returns {{min: number, max: number|null, step: number, value: number, cartQuantity: number}}
+   */
+  getCurrentValues() {
+    return {
+      ...super.getCurrentValues(),
+      min: parseInt(this.refs.quantityInput.dataset.min ?? '') || 1,
+    };
+  }
+
+  /**
+   * Gets the effective maximum value, how many can be added on top of the cart quantity
+   * @returns {number | null} The effective max, 0 when none can be added, or null if no max
+   */
+  getEffectiveMax() {
+    const { max, cartQuantity } = this.getCurrentValues();
+    if (max === null) return null;
+
+    return Math.max(max - cartQuantity, 0);
+  }
+
+  /**
+   * Updates button states based on current value and limits
+   */
+  updateButtonStates() {
+    const { minusButton, plusButton } = this.refs;
+    const { value } = this.getCurrentValues();
+
+    if (!this.serverDisabledMinus) {
+      minusButton.disabled = value <= 0;
+    }
+
+    if (!this.serverDisabledPlus) {
+      plusButton.disabled = this.#nextQuantity(value, 1) <= value;
+    }
+  }
+
+  /**
+   * Updates quantity by a given step. Stepping below the minimum goes to 0, stepping up from 0 goes to the minimum.
+   * @param {number} stepMultiplier - Positive for increase, negative for decrease
+   */
+  updateQuantity(stepMultiplier) {
+    const { quantityInput } = this.refs;
+    const { value } = this.getCurrentValues();
+
+    quantityInput.value = this.#nextQuantity(value, stepMultiplier).toString();
+    this.onQuantityChange();
+    this.updateButtonStates();
+  }
+
+  /**
+   * Handles the quantity set event (on blur).
+   * Keeps 0, validates and snaps other values to the quantity rules.
+   * @param {Event} event - The event.
+   */
+  setQuantity(event) {
+    if (!(event.target instanceof HTMLInputElement)) return;
+
+    event.preventDefault();
+    const { quantityInput } = this.refs;
+    const { min, step } = this.getCurrentValues();
+    const effectiveMax = this.getEffectiveMax();
+    const value = parseInt(event.target.value) || 0;
+
+    // Snap to bounds, a quantity that can't reach the minimum is cleared
+    let quantity = value <= 0 ? 0 : Math.min(effectiveMax ?? Infinity, Math.max(min, value));
+    if (quantity < min) quantity = 0;
+
+    // Validate step increment
+    if (quantity > 0 && (quantity - min) % step !== 0) {
+      // Set the invalid value and trigger native HTML validation
+      quantityInput.value = quantity.toString();
+      quantityInput.reportValidity();
+      return;
+    }
+
+    quantityInput.value = quantity.toString();
+    this.onQuantityChange();
+    this.updateButtonStates();
+  }
+
+  /**
+   * Updates the cart quantity from data attribute and refreshes button states
+   * Lowers the quantity when less can be added now
+   */
+  updateCartQuantity() {
+    const { quantityInput } = this.refs;
+    const { value } = this.getCurrentValues();
+    const clampedValue = value > 0 ? this.#nextQuantity(value, 0) : 0;
+
+    if (clampedValue !== value) {
+      quantityInput.value = clampedValue.toString();
+      this.onQuantityChange();
+    }
+
+    this.updateButtonStates();
+  }
+
+  /**
+   * Clears the quantity.
+   */
+  reset() {
+    this.refs.quantityInput.value = '0';
+    this.updateButtonStates();
+  }
+
+  /**
+   * Gets the quantity a number of steps away from a value, within the quantity rules and the effective max.
+   * @param {number} value - The current quantity.
+   * @param {number} stepMultiplier - The number of steps, negative to decrease.
+   * @returns {number} The quantity, 0 when it's below the minimum or above the effective max.
+   */
+  #nextQuantity(value, stepMultiplier) {
+    const { min, step } = this.getCurrentValues();
+    const effectiveMax = this.getEffectiveMax() ?? Infinity;
+
+    let quantity = value < min && stepMultiplier > 0 ? min : value + step * stepMultiplier;
+    if (quantity < min) return 0;
+
+    // Snap down to the closest valid increment that can still be added
+    quantity = Math.min(quantity, effectiveMax);
+    quantity = min + Math.floor((quantity - min) / step) * step;
+
+    return quantity < min ? 0 : quantity;
+  }
+}
+
+if (!customElements.get('variant-matrix-quantity-selector-component')) {
+  customElements.define('variant-matrix-quantity-selector-component', VariantMatrixQuantitySelectorComponent);
+}
+
+/**
+ * A custom element that lists the variants of a product with their own quantity, and totals the selection live.
+ * The buy buttons of the product add the selected variants, see `ProductFormComponent`.
+ *
+ * @typedef {object} VariantMatrixRefs
+ * @property {VariantMatrixQuantitySelectorComponent[]} quantitySelectors - The quantity selectors of the variants.
+ * @property {HTMLElement} totalQuantity - The total quantity.
+ * @property {HTMLElement} totalPrice - The total price.
+ *
+ * @extends {Component<VariantMatrixRefs>}
+ */
+export class VariantMatrixComponent extends Component {
+  requiredRefs = ['quantitySelectors', 'totalQuantity', 'totalPrice'];
+
+  #abortController = new AbortController();
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    const { signal } = this.#abortController;
+
+    this.addEventListener(ThemeEvents.quantitySelectorUpdate, this.#updateTotal, { signal });
+    this.addEventListener('input', this.#updateTotal, { signal });
+
+    // The effective max of each variant depends on its quantity in the cart
+    signal.addEventListener('abort', cartStore.subscribe(this.#updateCartQuantities));
+    cartStore.get().then(this.#updateCartQuantities, () => {});
+
+    this.#updateTotal();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    this.#abortController.abort();
+  }
+
+  /**
+   * Gets the variants with a quantity, to add to the cart in a single request.
+   * @returns {{ id: number, quantity: number }[]} The items.
+   */
+  getItems() {
+    return this.refs.quantitySelectors
+      .map((quantitySelector) => ({
+        id: Number(quantitySelector.dataset.variantId),
+        quantity: quantitySelector.getCurrentValues().value,
+      }))
+      .filter((item) => item.quantity > 0);
+  }
+
+  /**
+   * Checks every quantity against its quantity rule, and shows the browser's message on the first invalid one.
+   * @returns {boolean} Whether all quantities are valid.
+   */
+  reportValidity() {
+    return this.refs.quantitySelectors.every((quantitySelector) => quantitySelector.quantityInput.reportValidity());
+  }
+
+  /**
+   * Gets the first variant whose quantity can't be added on top of its cart quantity.
+   * @returns {ReturnType<QuantitySelectorComponent['canAddToCart']> | null} The validation, null if all can be added.
+   */
+  getExceededQuantity() {
+    for (const quantitySelector of this.refs.quantitySelectors) {
+      const validation = quantitySelector.canAddToCart();
+
+      if (!validation.canAdd) return validation;
+    }
+
+    return null;
+  }
+
+  /**
+   * Clears all quantities, e.g. after they were added to the cart.
+   */
+  reset() {
+    for (const quantitySelector of this.refs.quantitySelectors) {
+      quantitySelector.reset();
+    }
+
+    this.#updateTotal();
+  }
+
+  #updateTotal = () => {
+    const { quantitySelectors, totalQuantity, totalPrice } = this.refs;
+    const moneyFormat = this.dataset.moneyFormat ?? '{{amount}}';
+    const currency = this.dataset.currency ?? '';
+
+    let quantity = 0;
+    let price = 0;
+
+    for (const quantitySelector of quantitySelectors) {
+      const { value } = quantitySelector.getCurrentValues();
+      if (value <= 0) continue;
+
+      quantity += value;
+      price += value * Number(quantitySelector.dataset.price);
+    }
+
+    totalQuantity.textContent = (this.dataset.selectedText ?? '').replace('{{ quantity }}', quantity.toString());
+    totalPrice.innerHTML = vatDisplay.renderPrice(price, (value) => formatCents(value, moneyFormat, currency));
+  };
+
+  #updateCartQuantities = () => {
+    for (const quantitySelector of this.refs.quantitySelectors) {
+      quantitySelector.setCartQuantity(cartStore.getVariantQuantity(quantitySelector.dataset.variantId ?? ''));
+    }
+  };
+}
+
+if (!customElements.get('variant-matrix-component')) {
+  customElements.define('variant-matrix-component', VariantMatrixComponent);
+}
@@ -0,0 +1,129 @@
+import { VatDisplayChangeEvent } from '@theme/events';
+
+/**
+ * @typedef {'incl' | 'excl'} VatDisplayMode
+ */
+
+/**
+ * The local storage key holding the chosen VAT display, shared with the inline script in `scripts.liquid`.
+ */
+const STORAGE_KEY = 'theme:vat-display';
+
+/**
+ * Keeps track of whether prices are shown including or excluding VAT.
+ *
+ * Liquid renders every price both including and excluding VAT (see `vat-price.liquid`) and CSS shows the one matching
+ * the `data-vat-display` attribute on the document element. That way prices stay correct when sections are morphed or
+ * variants are updated. Only prices that are built in JavaScript need to be converted with this class.
+ */
+class VatDisplay {
+  /** @type {VatDisplayMode} */
+  #mode = document.documentElement.dataset.vatDisplay === 'excl' ? 'excl' : 'incl';
+
+  constructor() {
+    window.addEventListener('storage', (event) => {
+      if (event.key !== STORAGE_KEY) return;
+
+      this.#apply(event.newValue === 'excl' ? 'excl' : 'incl');
+    });
+  }
+
+  /**
+   * Whether prices are shown including or excluding VAT.
+   * @returns {VatDisplayMode}
+   */
+  get mode() {
+    return this.#mode;
+  }
+
+  /**
+   * The VAT rate of the current market in percent, 0 when the VAT toggle is disabled.
+   * @returns {number}
+   */
+  get rate() {
+    return Number(Theme.vat?.rate) || 0;
+  }
+
+  /**
+   * Whether the prices set in the store include VAT.
+   * @returns {VatDisplayMode}
+   */
+  get storeMode() {
+    return Theme.vat?.taxes_included === false ? 'excl' : 'incl';
+  }
+
+  /**
+   * Switches all prices to including or excluding VAT and remembers the choice.
+   * @param {VatDisplayMode} mode
+   */
+  set(mode) {
+    try {
+      localStorage.setItem(STORAGE_KEY, mode);
+    } catch {
+      // Storage can be unavailable, e.g. in private browsing. The choice then only lasts for this page.
+    }
+
+    this.#apply(mode);
+  }
+
+  /**
+   * Converts a price as set in the store to the price shown.
+   * @param {number} cents - The price in cents as set in the store.
+   * @param {VatDisplayMode} [mode] - The VAT display to convert to, defaults to the current one.
+   * @returns {number} The price in cents.
+   */
+  toDisplayPrice(cents, mode = this.#mode) {
+    if (!this.rate || mode === this.storeMode) return cents;
+
+    const factor = 1 + this.rate / 100;
+
+    return Math.round(mode === 'excl' ? cents / factor : cents * factor);
+  }
+
+  /**
+   * Converts a price shown, e.g. entered by the customer, to the price as set in the store.
+   * @param {number} cents - The price in cents as shown.
+   * @param {VatDisplayMode} [mode] - The VAT display to convert from, defaults to the current one.
+   * @returns {number} The price in cents.
+   */
+  fromDisplayPrice(cents, mode = this.#mode) {
+    if (!this.rate || mode === this.storeMode) return cents;
+
+    const factor = 1 + this.rate / 100;
+
+    return Math.round(mode === 'excl' ? cents * factor : cents / factor);
+  }
+
+  /**
+   * Renders a price both including and excluding VAT, like `vat-price.liquid`.
+   * @param {number} cents - The price in cents as set in the store.
+   * @param {(cents: number) => string} format - Formats a price in cents.
+   * @returns {string} The HTML.
+   */
+  renderPrice(cents, format) {
+    if (!this.rate) return format(cents);
+
+    return `<span data-vat="incl">${format(this.toDisplayPrice(cents, 'incl'))}</span><span data-vat="excl">${format(
+      this.toDisplayPrice(cents, 'excl')
+    )}</span>`;
+  }
+
+  /**
+   * @param {VatDisplayMode} mode
+   */
+  #apply(mode) {
+    if (mode === this.#mode) return;
+
+    this.#mode = mode;
+
+    if (mode === 'excl') {
+      document.documentElement.dataset.vatDisplay = 'excl';
+    } else {
+      delete document.documentElement.dataset.vatDisplay;
+    }
+
+    document.dispatchEvent(new VatDisplayChangeEvent(mode));
+  }
+}
+
+export const vatDisplay = new VatDisplay();
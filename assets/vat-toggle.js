@@ -0,0 +1,48 @@
+import { Component } from '@theme/component';
+import { ThemeEvents } from '@theme/events';
+import { vatDisplay } from '@theme/vat-display';
+
+/**
+ * A custom element that lets customers show all prices including or excluding VAT.
+ *
+ * @typedef {object} VatToggleRefs
+ * @property {HTMLButtonElement[]} options - The buttons for including and excluding VAT.
+ *
+ * @extends {Component<VatToggleRefs>}
+ */
+class VatToggleComponent extends Component {
+  requiredRefs = ['options'];
+
+  connectedCallback() {
+    super.connectedCallback();
+
+    document.addEventListener(ThemeEvents.vatDisplayChange, this.#updateOptions);
+    this.#updateOptions();
+  }
+
+  disconnectedCallback() {
+    super.disconnectedCallback();
+
+    document.removeEventListener(ThemeEvents.vatDisplayChange, this.#updateOptions);
+  }
+
+  /**
+   * Shows prices including or excluding VAT, depending on the option clicked.
+   * @param {MouseEvent} event
+   */
+  select(event) {
+    if (!(event.target instanceof HTMLButtonElement)) return;
+
+    vatDisplay.set(event.target.value === 'excl' ? 'excl' : 'incl');
+  }
+
+  #updateOptions = () => {
+    for (const option of this.refs.options) {
+      option.setAttribute('aria-pressed', String(option.value === vatDisplay.mode));
+    }
+  };
+}
+
+if (!customElements.get('vat-toggle-component')) {
+  customElements.define('vat-toggle-component', VatToggleComponent);
+}